@@ -0,0 +1,222 @@
+/**
+ * Headless SyncChess client for Node
+ *
+ * Wraps the socket protocol in promises, for bots, load tests and scripted
+ * demos that play against a running server without a browser:
+ *
+ *   const { createSyncChessClient } = require('./client/syncChessClient');
+ *
+ *   const client = createSyncChessClient('http://localhost:3028', { name: 'Script' });
+ *   const { color } = await client.join('abc123', { timeControl: 0, computer: 'black' });
+ *   client.onRound(({ round, events }) => console.log(round, events));
+ *   await client.ready();
+ *   await client.submit('e2', 'e4');
+ *   await client.resign();
+ *   client.close();
+ *
+ * client.game mirrors what the server has sent about the game (position,
+ * castling rights, last moved pieces, rules...), so it can be passed to
+ * generateLegalMoves from shared/rules.js to find this round's moves.
+ */
+const { io } = require('socket.io-client');
+
+// Create a client connected to the server at url. options.name is the player
+// name shown to the opponent
+function createSyncChessClient(url, options = {}) {
+  const socket = io(url, { transports: ['websocket'] });
+  
+  const game = { position: null, gameResult: null, history: [] };
+  const handlers = { round: [], gameOver: [], error: [] };
+  let roomId = null;
+  let color = null;
+  let token = null;
+  let joinOptions = null;
+  let isReady = false;
+  let readyWaiters = [];
+  let resolvedRound = null;
+  
+  // The request waiting for the server's answer (join, submit, resign); the server
+  // doesn't tag its errors, so requests are sent one at a time
+  let pending = null;
+  
+  function request(type, send) {
+    if (pending) {
+      return Promise.reject(new Error(`Still waiting for the server to answer ${pending.type}`));
+    }
+    
+    return new Promise((resolve, reject) => {
+      pending = { type, resolve, reject };
+      send();
+    });
+  }
+  
+  function settle(type, error, value) {
+    if (!pending || pending.type !== type) {
+      return;
+    }
+    
+    const { resolve, reject } = pending;
+    pending = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(value);
+    }
+  }
+  
+  function emitJoin() {
+    socket.emit('joinGame', { ...joinOptions, roomId, token, name: options.name });
+  }
+  
+  // Socket event handlers
+  socket.on('connect', () => {
+    // After a dropped connection the token puts us back in our seat
+    if (roomId && token && !pending) {
+      emitJoin();
+    }
+  });
+  
+  socket.on('playerColor', (playerColor) => {
+    color = playerColor;
+  });
+  
+  socket.on('playerToken', (playerToken) => {
+    token = playerToken;
+  });
+  
+  socket.on('spectating', () => {
+    color = null;
+  });
+  
+  socket.on('boardState', (position) => {
+    game.position = position;
+  });
+  
+  socket.on('timerUpdate', (timers) => {
+    game.timers = timers;
+  });
+  
+  socket.on('gameReady', () => {
+    isReady = true;
+    readyWaiters.forEach(resolve => resolve());
+    readyWaiters = [];
+  });
+  
+  socket.on('roundResolved', (data) => {
+    // The new board and game state follow, so the round is reported with them
+    resolvedRound = data;
+  });
+  
+  socket.on('gameState', (state) => {
+    const wasOver = !!game.gameResult;
+    Object.assign(game, state);
+    
+    settle('join', null, { color, token, spectator: !color });
+    if (game.gameResult) {
+      settle('resign', null, game.gameResult);
+    }
+    
+    if (resolvedRound) {
+      const round = { ...resolvedRound, position: game.position, gameResult: game.gameResult };
+      resolvedRound = null;
+      handlers.round.forEach(handler => handler(round));
+    }
+    
+    if (game.gameResult && !wasOver) {
+      handlers.gameOver.forEach(handler => handler(game.gameResult));
+    }
+  });
+  
+  socket.on('moveAccepted', () => {
+    settle('submit', null, true);
+  });
+  
+  // The promotion piece was chosen with the move, so answer straight away
+  socket.on('promotionNeeded', ({ square }) => {
+    const promotion = pending && pending.type === 'submit' && pending.promotion;
+    socket.emit('promotePawn', { gameId: roomId, square, pieceType: promotion || 'Q' });
+  });
+  
+  socket.on('promotionConfirmed', () => {
+    settle('submit', null, true);
+  });
+  
+  socket.on('error', (message) => {
+    const error = new Error(message);
+    if (pending) {
+      settle(pending.type, error);
+    } else {
+      handlers.error.forEach(handler => handler(error));
+    }
+  });
+  
+  return {
+    game,
+    
+    get color() {
+      return color;
+    },
+    
+    get roomId() {
+      return roomId;
+    },
+    
+    // Join (or create) a room. joinOptions are the joinGame fields for a new
+    // room: timeControl, startPosition, chess960, rules, variant, computer,
+    // computerLevel; spectate: true watches instead of taking a seat
+    // Resolves to { color, token, spectator } once the game state arrives
+    join(id, extraOptions = {}) {
+      roomId = id;
+      token = extraOptions.token || null;
+      joinOptions = extraOptions;
+      isReady = false;
+      return request('join', emitJoin);
+    },
+    
+    // Resolves once both seats are taken and moves can be submitted
+    ready() {
+      if (isReady) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => readyWaiters.push(resolve));
+    },
+    
+    // Submit this round's move; promotion is the piece letter (Q, R, B or N)
+    // for a pawn reaching the last rank. Resolves once the server accepts it
+    // and rejects with the server's message if it doesn't
+    submit(from, to, promotion) {
+      return request('submit', () => {
+        pending.promotion = promotion;
+        socket.emit('submitMove', { gameId: roomId, move: { from, to, promotion } });
+      });
+    },
+    
+    // Resign the game. Resolves with the game result
+    resign() {
+      return request('resign', () => socket.emit('resign', { gameId: roomId }));
+    },
+    
+    // Called after every round with { round, events, position, gameResult }
+    onRound(handler) {
+      handlers.round.push(handler);
+    },
+    
+    // Called once with the game result when the game ends
+    onGameOver(handler) {
+      handlers.gameOver.push(handler);
+    },
+    
+    // Called with server errors that don't belong to a request
+    onError(handler) {
+      handlers.error.push(handler);
+    },
+    
+    close() {
+      socket.close();
+    }
+  };
+}
+
+module.exports = {
+  createSyncChessClient
+};
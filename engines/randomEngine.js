@@ -0,0 +1,43 @@
+/**
+ * Example SyncChess engine: plays a random legal move
+ *
+ * Shows the engine protocol described in server/engineBot.js, and is handy
+ * for trying out the engine adapter and the arena:
+ *
+ *   ENGINE_COMMAND="node engines/randomEngine.js" npm start
+ */
+const readline = require('readline');
+const { fromSFEN } = require('../server/boardUtils');
+const { generateLegalMoves } = require('../shared/rules');
+
+let variant = 'standard';
+let rules = {};
+let game = null;
+
+function send(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const [command, ...args] = line.trim().split(/\s+/);
+
+  if (command === 'syncchess') {
+    send('id name Random Mover');
+    send('syncchessok');
+  } else if (command === 'newgame') {
+    variant = args[0];
+    rules = {};
+    (args[1] === '-' ? [] : args[1].split(',')).forEach(rule => {
+      const [name, value] = rule.split('=');
+      rules[name] = value === 'on';
+    });
+  } else if (command === 'position' && args[0] === 'sfen') {
+    game = { ...fromSFEN(args.slice(1).join(' ')), variant, rules };
+  } else if (command === 'go') {
+    const moves = game ? generateLegalMoves(game, args[0]) : [];
+    const move = moves[Math.floor(Math.random() * moves.length)];
+    send(move ? `bestmove ${move.from}${move.to}${(move.promotion || '').toLowerCase()}` : 'bestmove (none)');
+  } else if (command === 'quit') {
+    process.exit(0);
+  }
+});
@@ -48,208 +48,30 @@ function normalizeForDisplay(position) {
     return null;
   }
   
-  // Convert algebraic notation to coordinates
-  function squareToCoords(square) {
-    const file = square.charCodeAt(0) - 97; // 'a' -> 0
-    const rank = 8 - parseInt(square[1]);   // '1' -> 7
-    return { rank, file };
+  // Build the rules engine's view of the game from what this client knows
+  function getClientGameState() {
+    return {
+      position: currentPosition || {},
+      castlingRights: castlingRights,
+      chess960: chess960,
+      castlingRooks: castlingRooks,
+      rules: houseRules,
+      enPassantTarget: enPassantTarget,
+      lastMovedPieces: { [myColor]: lastMovedPiece },
+      inCheck: { [myColor]: inCheck }
+    };
   }
   
-  // Convert coordinates to algebraic notation
-  function coordsToSquare(coords) {
-    const { rank, file } = coords;
-    return String.fromCharCode(97 + file) + (8 - rank);
-  }
-  
-  // Get the current board as a 2D array
-  function getCurrentBoard() {
-    const position = board.position();
-    const boardArray = Array(8).fill().map(() => Array(8).fill(null));
-    
-    Object.entries(position).forEach(([square, piece]) => {
-      const coords = squareToCoords(square);
-      boardArray[coords.rank][coords.file] = piece;
-    });
+  // Get the legal moves for the piece on a square
+  // Uses the shared rules module, so these are exactly the moves the server accepts
+  function getLegalMovesFrom(source) {
+    if (!myColor || !currentPosition) return [];
     
-    return boardArray;
+    return SyncChessRules.generateLegalMoves(getClientGameState(), myColor)
+      .filter(move => move.from === source);
   }
   
-  // Check if a square is threatened by opponent pieces
-  function isSquareUnderAttack(boardArray, square, attackerColor) {
-    const coords = squareToCoords(square);
-    
-    // Check pawn attacks
-    const pawnDir = attackerColor === 'w' ? -1 : 1;
-    const pawnRank = coords.rank - pawnDir;
-    
-    // Ensure pawn rank is valid
-    if (pawnRank >= 0 && pawnRank < 8) {
-      // Check diagonal left attack
-      if (coords.file - 1 >= 0) {
-        const piece = boardArray[pawnRank][coords.file - 1];
-        if (piece && piece[0] === attackerColor && piece[1] === 'P') {
-          return true;
-        }
-      }
-      
-      // Check diagonal right attack
-      if (coords.file + 1 < 8) {
-        const piece = boardArray[pawnRank][coords.file + 1];
-        if (piece && piece[0] === attackerColor && piece[1] === 'P') {
-          return true;
-        }
-      }
-    }
-    
-    // Check knight attacks
-    const knightMoves = [
-      { rank: -2, file: -1 }, { rank: -2, file: 1 },
-      { rank: -1, file: -2 }, { rank: -1, file: 2 },
-      { rank: 1, file: -2 }, { rank: 1, file: 2 },
-      { rank: 2, file: -1 }, { rank: 2, file: 1 }
-    ];
-    
-    for (const move of knightMoves) {
-      const r = coords.rank + move.rank;
-      const f = coords.file + move.file;
-      
-      if (r >= 0 && r < 8 && f >= 0 && f < 8) {
-        const piece = boardArray[r][f];
-        if (piece && piece[0] === attackerColor && piece[1] === 'N') {
-          return true;
-        }
-      }
-    }
-    
-    // Check king attacks (for adjacent squares)
-    const kingMoves = [
-      { rank: -1, file: -1 }, { rank: -1, file: 0 }, { rank: -1, file: 1 },
-      { rank: 0, file: -1 }, { rank: 0, file: 1 },
-      { rank: 1, file: -1 }, { rank: 1, file: 0 }, { rank: 1, file: 1 }
-    ];
-    
-    for (const move of kingMoves) {
-      const r = coords.rank + move.rank;
-      const f = coords.file + move.file;
-      
-      if (r >= 0 && r < 8 && f >= 0 && f < 8) {
-        const piece = boardArray[r][f];
-        if (piece && piece[0] === attackerColor && piece[1] === 'K') {
-          return true;
-        }
-      }
-    }
-    
-    // Check rook/queen attacks (horizontal and vertical)
-    const rookDirs = [
-      { rank: -1, file: 0 }, // up
-      { rank: 1, file: 0 },  // down
-      { rank: 0, file: -1 }, // left
-      { rank: 0, file: 1 }   // right
-    ];
-    
-    for (const dir of rookDirs) {
-      let r = coords.rank + dir.rank;
-      let f = coords.file + dir.file;
-      
-      while (r >= 0 && r < 8 && f >= 0 && f < 8) {
-        const piece = boardArray[r][f];
-        
-        if (piece) {
-          if (piece[0] === attackerColor && (piece[1] === 'R' || piece[1] === 'Q')) {
-            return true;
-          }
-          break; // Stop checking in this direction if we hit any piece
-        }
-        
-        r += dir.rank;
-        f += dir.file;
-      }
-    }
-    
-    // Check bishop/queen attacks (diagonals)
-    const bishopDirs = [
-      { rank: -1, file: -1 }, // up-left
-      { rank: -1, file: 1 },  // up-right
-      { rank: 1, file: -1 },  // down-left
-      { rank: 1, file: 1 }    // down-right
-    ];
-    
-    for (const dir of bishopDirs) {
-      let r = coords.rank + dir.rank;
-      let f = coords.file + dir.file;
-      
-      while (r >= 0 && r < 8 && f >= 0 && f < 8) {
-        const piece = boardArray[r][f];
-        
-        if (piece) {
-          if (piece[0] === attackerColor && (piece[1] === 'B' || piece[1] === 'Q')) {
-            return true;
-          }
-          break; // Stop checking in this direction if we hit any piece
-        }
-        
-        r += dir.rank;
-        f += dir.file;
-      }
-    }
-    
-    return false;
-  }
-  
-  // Check if the king would be in check after a move
-  function wouldKingBeInCheck(sourceSquare, targetSquare) {
-    // Get the current board state
-    const boardArray = getCurrentBoard();
-    
-    // Get info about the moving piece
-    const piece = getPieceAt(sourceSquare);
-    if (!piece) return false;
-    
-    const pieceColor = piece.charAt(0);
-    const pieceType = piece.charAt(1);
-    
-    // Get the coordinates
-    const sourceCoords = squareToCoords(sourceSquare);
-    const targetCoords = squareToCoords(targetSquare);
-    
-    // Make a copy of the board to simulate the move
-    const tempBoard = JSON.parse(JSON.stringify(boardArray));
-    
-    // Remove the piece from its original position
-    tempBoard[sourceCoords.rank][sourceCoords.file] = null;
-    
-    // Place the piece at the target position
-    tempBoard[targetCoords.rank][targetCoords.file] = piece;
-    
-    // Find the king's position
-    let kingSquare;
-    
-    // If we're moving the king, use the target square
-    if (pieceType === 'K') {
-      kingSquare = targetSquare;
-    } else {
-      // Otherwise, find the king on the board
-      for (let r = 0; r < 8; r++) {
-        for (let f = 0; f < 8; f++) {
-          const p = tempBoard[r][f];
-          if (p && p[0] === pieceColor && p[1] === 'K') {
-            kingSquare = coordsToSquare({ rank: r, file: f });
-            break;
-          }
-        }
-        if (kingSquare) break;
-      }
-    }
-    
-    if (!kingSquare) return false; // No king found (shouldn't happen)
-    
-    // Check if the king is under attack
-    const opponentColor = pieceColor === 'w' ? 'b' : 'w';
-    return isSquareUnderAttack(tempBoard, kingSquare, opponentColor);
-  }
-  
-  // Simplified client-side validation including king check
+  // Client-side validation, including king safety
   function isClientValidMove(source, target) {
     // Get the basic piece type (for display)
     const piece = getPieceAt(source);
@@ -264,46 +86,18 @@ function normalizeForDisplay(position) {
       return false;
     }
     
-    // Get the full piece ID with unique identifier
-    const fullPiece = getFullPieceAt(source);
-    
-    // Check "no repeating the same piece" rule
-    if (lastMovedPiece && fullPiece === lastMovedPiece) {
-      // Exception: Kings can move again if in check
-      if (inCheck && fullPiece.includes('K')) {
-        // Still need to check if king would be in check after move
-        if (wouldKingBeInCheck(source, target)) {
-          updateStatus('Cannot move into check!', true);
-          return false;
-        }
-        return true;
-      }
-      
-      // No other piece can move twice in a row
-      updateStatus('Cannot move the same piece twice in a row', true);
-      return false;
-    }
-    
-    // Check if the destination has one of our own pieces
-    const targetPiece = getPieceAt(target);
-    if (targetPiece && targetPiece.charAt(0) === pieceColor) {
-      return false;
-    }
-    
-    // Kings cannot move into check
-    if (piece.charAt(1) === 'K' && wouldKingBeInCheck(source, target)) {
-      updateStatus('Cannot move into check!', true);
-      return false;
+    // Validate with the same rules and reasons as the server
+    const validation = SyncChessRules.validateMove(getClientGameState(), myColor, { from: source, to: target });
+    if (validation.valid) {
+      return true;
     }
     
-    // For all other pieces, check if the move would leave the king in check
-    if (wouldKingBeInCheck(source, target)) {
-      updateStatus('This move would leave your king in check!', true);
-      return false;
+    // Explain anything more specific than a piece simply not moving that way
+    if (validation.reason !== 'illegalMove') {
+      updateStatus(validation.message, true);
     }
     
-    // All other validation will be done on the server
-    return true;
+    return false;
   }
   
   // Highlight valid moves for a piece
@@ -318,49 +112,11 @@ function normalizeForDisplay(position) {
     // Highlight the source square
     $(`[data-square="${source}"]`).addClass('highlight-square');
     
-    // If this is the king, also highlight castling options if available
-    if (piece.includes('K')) {
-      const rank = myColor === 'white' ? '1' : '8';
-      
-      // Check kingside castling
-      if ((myColor === 'white' && castlingRights.white.kingSide) || 
-          (myColor === 'black' && castlingRights.black.kingSide)) {
-        const kingsideDest = `g${rank}`;
-        // Check if castling would put king in check
-        if (!wouldKingBeInCheck(source, kingsideDest)) {
-          $(`[data-square="${kingsideDest}"]`).addClass('highlight-square');
-        }
-      }
-      
-      // Check queenside castling
-      if ((myColor === 'white' && castlingRights.white.queenSide) || 
-          (myColor === 'black' && castlingRights.black.queenSide)) {
-        const queensideDest = `c${rank}`;
-        // Check if castling would put king in check
-        if (!wouldKingBeInCheck(source, queensideDest)) {
-          $(`[data-square="${queensideDest}"]`).addClass('highlight-square');
-        }
-      }
-    }
-    
-    // If this is a pawn and there's an en passant target, highlight it
-    if (piece.includes('P') && enPassantTarget) {
-      // Check if this pawn can capture en passant
-      const sourceFile = source.charAt(0);
-      const sourceRank = parseInt(source.charAt(1));
-      const targetFile = enPassantTarget.charAt(0);
-      const targetRank = parseInt(enPassantTarget.charAt(1));
-      
-      // En passant is only possible if the pawn is on the correct rank and adjacent file
-      if ((myColor === 'white' && sourceRank === 5 && Math.abs(sourceFile.charCodeAt(0) - targetFile.charCodeAt(0)) === 1) ||
-          (myColor === 'black' && sourceRank === 4 && Math.abs(sourceFile.charCodeAt(0) - targetFile.charCodeAt(0)) === 1)) {
-        
-        // Check if en passant would leave king in check
-        if (!wouldKingBeInCheck(source, enPassantTarget)) {
-          $(`[data-square="${enPassantTarget}"]`).addClass('en-passant-target');
-        }
-      }
-    }
+    // Highlight every legal destination, en passant captures get their own style
+    getLegalMovesFrom(source).forEach(move => {
+      const isEnPassant = piece.charAt(1) === 'P' && move.to === enPassantTarget;
+      $(`[data-square="${move.to}"]`).addClass(isEnPassant ? 'en-passant-target' : 'highlight-square');
+    });
   }
   
   // Clear all highlighted squares
@@ -394,6 +150,21 @@ function normalizeForDisplay(position) {
       return false;
     }
     
+    // Spectators can't move pieces
+    if (!myColor) {
+      return false;
+    }
+    
+    // Wait for the round reveal to finish
+    if (revealPromise) {
+      return false;
+    }
+    
+    // Earlier positions from the move list are only for viewing
+    if (viewingRound !== null) {
+      return false;
+    }
+    
     // Don't allow dragging if a move is already submitted
     if (moveSubmitted) {
       return false;
@@ -406,20 +177,13 @@ function normalizeForDisplay(position) {
       return false;
     }
     
-    // Get the full piece ID from the square
-    const fullPiece = getFullPieceAt(source);
-    
-    // Check "no repeating the same piece" rule
-    if (lastMovedPiece && fullPiece === lastMovedPiece) {
-      // Exception: Kings can move again if in check
-      if (inCheck && fullPiece.includes('K')) {
-        console.log("King in check - allowing repeat move");
-        highlightValidMoves(source);
-        return true;
+    // Only allow dragging pieces that have a legal move
+    // This also covers the "no repeating the same piece" rule and its exceptions
+    if (getLegalMovesFrom(source).length === 0) {
+      const fullPiece = getFullPieceAt(source);
+      if (lastMovedPiece && fullPiece === lastMovedPiece) {
+        updateStatus('Cannot move the same piece twice in a row', true);
       }
-      
-      // Show an error message and don't allow the drag
-      updateStatus('Cannot move the same piece twice in a row', true);
       return false;
     }
     
@@ -472,4 +236,198 @@ function normalizeForDisplay(position) {
       $(`[data-square="${selectedMove.from}"]`).addClass('highlight-square');
       $(`[data-square="${selectedMove.to}"]`).addClass('highlight-square');
     }
-  }
\ No newline at end of file
+  }
+  
+  // Round reveal timings in milliseconds
+  const REVEAL_ARROW_MS = 700;
+  const REVEAL_MOVE_MS = 500;
+  const REVEAL_EFFECT_MS = 600;
+  
+  // Set while a round reveal is playing, so board updates can wait for it
+  let revealPromise = null;
+  
+  // The reveal can be turned off in the settings
+  function revealAnimationsEnabled() {
+    return !localStorage.getItem('animationsDisabled');
+  }
+  
+  // Run a board or game state update once any reveal in progress has finished
+  function afterReveal(callback) {
+    if (revealPromise) {
+      revealPromise.then(callback);
+    } else {
+      callback();
+    }
+  }
+  
+  // Centre of a square in pixels, relative to the board element
+  function getSquareCenter(square) {
+    const $board = $('#board');
+    const $square = $board.find(`[data-square="${square}"]`);
+    const boardOffset = $board.offset();
+    const squareOffset = $square.offset();
+    
+    return {
+      x: squareOffset.left - boardOffset.left + $square.outerWidth() / 2,
+      y: squareOffset.top - boardOffset.top + $square.outerHeight() / 2
+    };
+  }
+  
+  // Draw an arrow for each submitted move, colored by the side that made it
+  function drawRevealArrows(moveEvents) {
+    const $board = $('#board');
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'reveal-overlay');
+    svg.setAttribute('width', $board.width());
+    svg.setAttribute('height', $board.height());
+    svg.innerHTML = ['white', 'black'].map(color =>
+      `<defs><marker id="reveal-arrowhead-${color}" markerWidth="4" markerHeight="4" refX="2" refY="2" orient="auto">` +
+      `<path d="M0,0 L4,2 L0,4 z" class="reveal-arrowhead ${color}"></path></marker></defs>`
+    ).join('');
+    
+    moveEvents.forEach(event => {
+      const from = getSquareCenter(event.from);
+      const to = getSquareCenter(event.to);
+      const arrow = document.createElementNS(svgNS, 'line');
+      arrow.setAttribute('x1', from.x);
+      arrow.setAttribute('y1', from.y);
+      arrow.setAttribute('x2', to.x);
+      arrow.setAttribute('y2', to.y);
+      arrow.setAttribute('class', `reveal-arrow ${event.color}`);
+      arrow.setAttribute('marker-end', `url(#reveal-arrowhead-${event.color})`);
+      svg.appendChild(arrow);
+    });
+    
+    $board.append(svg);
+  }
+  
+  // Slide a copy of the piece on one square to another, hiding the original
+  function slidePiece(from, to) {
+    const $piece = $('#board').find(`[data-square="${from}"] img`);
+    if (!$piece.length) return null;
+    
+    const size = $piece.width();
+    const start = getSquareCenter(from);
+    const end = getSquareCenter(to);
+    const $ghost = $piece.clone()
+      .addClass('reveal-piece')
+      .css({ left: start.x - size / 2, top: start.y - size / 2, width: size, height: size });
+    
+    $('#board').append($ghost);
+    $piece.css('visibility', 'hidden');
+    $ghost.animate({ left: end.x - size / 2, top: end.y - size / 2 }, REVEAL_MOVE_MS);
+    
+    return $ghost;
+  }
+  
+  // Flash a collision, swerve or capture effect over a square
+  function showSquareEffect(square, type) {
+    const $square = $('#board').find(`[data-square="${square}"]`);
+    const center = getSquareCenter(square);
+    const size = $square.outerWidth();
+    
+    $('<div>')
+      .addClass(`reveal-effect reveal-${type}`)
+      .css({ left: center.x - size / 2, top: center.y - size / 2, width: size, height: size })
+      .appendTo('#board');
+  }
+  
+  // Remove everything the reveal drew on top of the board
+  function clearRevealOverlay() {
+    $('#board').find('.reveal-overlay, .reveal-piece, .reveal-effect').remove();
+  }
+  
+  // Play the round from the server's resolution events: arrows for both
+  // submitted moves, both pieces moving at once, then the collision, swerve
+  // and capture effects. Board updates wait until it is done.
+  function playRoundReveal(events) {
+    const moveEvents = events.filter(event => event.type === 'move');
+    if (!revealAnimationsEnabled() || !board || !currentPosition || moveEvents.length === 0) {
+      return;
+    }
+    
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    const reveal = async () => {
+      // Start from the position before the round, without our own dragged move
+      resetBoardFromPosition(currentPosition);
+      clearHighlights();
+      drawRevealArrows(moveEvents);
+      await wait(REVEAL_ARROW_MS);
+      
+      // Both pieces (and any castling rook) move at the same time
+      const ghosts = {};
+      moveEvents.forEach(event => {
+        ghosts[event.color] = slidePiece(event.from, event.to);
+      });
+      events.filter(event => event.type === 'castle').forEach(event => {
+        slidePiece(event.rook.from, event.rook.to);
+      });
+      await wait(REVEAL_MOVE_MS);
+      
+      $('#board').find('.reveal-overlay').remove();
+      events.forEach(event => {
+        if (event.type === 'collision') {
+          showSquareEffect(event.square, 'collision');
+          Object.values(ghosts).forEach($ghost => $ghost && $ghost.fadeOut(REVEAL_EFFECT_MS));
+        } else if (event.type === 'swerve') {
+          showSquareEffect(event.square, 'swerve');
+        } else if (event.type === 'capture') {
+          showSquareEffect(event.square, 'capture');
+          $('#board').find(`[data-square="${event.square}"] img`).fadeOut(REVEAL_EFFECT_MS);
+        } else if (event.type === 'enPassant') {
+          showSquareEffect(event.capturedSquare, 'capture');
+          $('#board').find(`[data-square="${event.capturedSquare}"] img`).fadeOut(REVEAL_EFFECT_MS);
+        }
+      });
+      await wait(REVEAL_EFFECT_MS);
+    };
+    
+    revealPromise = reveal()
+      .catch(err => console.log('Reveal error:', err))
+      .then(() => {
+        revealPromise = null;
+      });
+  }
+  
+  // Show the position after the first `played` rounds of the move list (0 is the
+  // starting position). This counts entries rather than round numbers, which
+  // start above 1 in games set up from an SFEN
+  function showHistoryPosition(played) {
+    const position = played === 0 ? startPosition : moveHistory[played - 1] && moveHistory[played - 1].position;
+    if (!board || !position || revealPromise) return;
+    
+    // Drop any move being prepared; it belongs to the live board
+    if (!moveSubmitted) {
+      selectedMove = null;
+      const submitBtn = document.getElementById('submitBtn');
+      if (submitBtn) {
+        submitBtn.disabled = true;
+      }
+    }
+    
+    viewingRound = played;
+    clearHighlights();
+    board.position(normalizeForDisplay(position), false);
+    
+    // Highlight the moves that led to this position
+    $('.last-move').removeClass('last-move');
+    if (played > 0) {
+      Object.values(moveHistory[played - 1].moves).forEach(move => {
+        $(`[data-square="${move.from}"]`).addClass('last-move');
+        $(`[data-square="${move.to}"]`).addClass('last-move');
+      });
+    }
+    
+    renderMoveList();
+  }
+  
+  // Go back from the move list to the current game position
+  function showLivePosition() {
+    if (viewingRound === null) return;
+    
+    viewingRound = null;
+    resetBoardFromPosition(currentPosition);
+    renderMoveList();
+  }
@@ -4,7 +4,9 @@
 
 let socket;
 let board;
+let currentPosition = null; // Full position with unique piece IDs, as sent by the server
 let myColor = null;
+let isSpectator = false; // Watching the game without a seat
 let selectedMove = null;
 let lastMovedPiece = null; // This will store the unique piece identifier
 let inCheck = false;
@@ -16,7 +18,21 @@ let castlingRights = {
   black: { kingSide: true, queenSide: true }
 };
 let enPassantTarget = null;
+let chess960 = false; // Chess960 castling: the king moves onto its own rook
+let castlingRooks = null; // Where each side's castling rooks start
+let houseRules = null; // The room's rule switches (see DEFAULT_RULES in shared/rules.js)
+let variant = 'standard'; // 'standard', 'threeCheck' or 'kingOfTheHill'
 let roomId = null;
+let moveHistory = []; // Rounds with their notation and resulting position
+let startPosition = null;
+let viewingRound = null; // Rounds played in the position shown from the move list, or null for the live board
+let startPositionParam = null; // SFEN to start a new room from, if given
+let chess960Param = false; // Start a new room from a random Chess960 setup
+let houseRulesParam = null; // House rules for a new room
+let variantParam = null; // Variant for a new room
+let computerParam = null; // Seat for a computer opponent in a new room
+let computerLevelParam = null; // Its difficulty level
+let computerSeats = []; // Seats played by the computer
 
 let timers = {
   timeControl: 300, // Default 5 minutes
@@ -55,6 +71,18 @@ document.addEventListener('DOMContentLoaded', () => {
   const urlParams = new URLSearchParams(window.location.search);
   roomId = urlParams.get('room');
   const timeControlParam = urlParams.get('timeControl');
+  isSpectator = urlParams.get('spectate') === '1';
+  startPositionParam = urlParams.get('sfen');
+  chess960Param = urlParams.get('chess960') === '1';
+  variantParam = urlParams.get('variant');
+  computerParam = urlParams.get('computer');
+  computerLevelParam = urlParams.get('level');
+  try {
+    // Not "rules", which already opens the rules panel (?rules=show)
+    houseRulesParam = JSON.parse(urlParams.get('houseRules'));
+  } catch (err) {
+    houseRulesParam = null;
+  }
   
   if (!roomId) {
     // If no room ID provided, redirect back to home page
@@ -106,10 +134,19 @@ function initSocketConnection() {
   
   socket.on('connect', () => {
     console.log('Connected to server');
-    // Join a game room with time control parameter
+    // Join a game room with time control parameter; the stored token
+    // reclaims our seat after a refresh or dropped connection
     socket.emit('joinGame', {
       roomId: roomId,
-      timeControl: timers.timeControl
+      timeControl: timers.timeControl,
+      token: localStorage.getItem(`syncchess-token-${roomId}`),
+      spectate: isSpectator,
+      startPosition: startPositionParam,
+      chess960: chess960Param,
+      rules: houseRulesParam,
+      variant: variantParam,
+      computer: computerParam,
+      computerLevel: computerLevelParam
     });
   });
   
@@ -124,6 +161,8 @@ function getPieceName(pieceType) {
     case 'R': return 'Rook';
     case 'B': return 'Bishop';
     case 'N': return 'Knight';
+    case 'K': return 'King';
+    case 'P': return 'Pawn';
     default: return pieceType;
   }
 }
@@ -132,6 +171,15 @@ function getPieceName(pieceType) {
 function resetBoardFromPosition(position) {
   if (!board || !position) return;
   
+  currentPosition = position;
+  clearRevealOverlay();
+  
+  // A live update always brings the board back from the move list
+  if (viewingRound !== null) {
+    viewingRound = null;
+    renderMoveList();
+  }
+  
   // Create a normalized position for display
   const displayPos = normalizeForDisplay(position);
   
@@ -156,6 +204,128 @@ function resetBoardFromPosition(position) {
   }, 10);
 }
 
+// Apply a game state update from the server
+function handleGameState(state) {
+  // Update check status for both players
+  if (state.inCheck) {
+    updateCheckStatus(state.inCheck);
+    
+    // Update local check status
+    if (myColor) {
+      inCheck = state.inCheck[myColor];
+      
+      // Show check indicator on my board if I'm in check
+      const checkIndicator = document.getElementById('check-indicator');
+      if (checkIndicator) {
+        if (inCheck) {
+          checkIndicator.style.display = 'flex';
+          updateStatus('CHECK! You must get your king out of check.', true);
+          playSound('check');
+        } else {
+          checkIndicator.style.display = 'none';
+        }
+      }
+    }
+  }
+  
+  // Update last moved pieces
+  if (state.lastMovedPieces) {
+    if (myColor) {
+      lastMovedPiece = state.lastMovedPieces[myColor];
+      console.log("Received last moved piece:", lastMovedPiece);
+    }
+  }
+  
+  // Update last moves
+  if (state.lastMoves) {
+    lastMoves = state.lastMoves;
+    showLastMoves();
+  }
+  
+  // Update castling rights
+  if (state.castlingRights) {
+    castlingRights = state.castlingRights;
+    console.log("Castling rights updated:", castlingRights);
+  }
+  
+  if ('chess960' in state) {
+    chess960 = state.chess960;
+    castlingRooks = state.castlingRooks;
+    houseRules = state.rules;
+    variant = state.variant;
+    computerSeats = state.computerSeats || [];
+    updateVariantInfo();
+    updatePlayerInfo();
+  }
+  
+  if (state.checksGiven) {
+    updateCheckCounters(state.checksGiven);
+  }
+  
+  // Update en passant target
+  if ('enPassantTarget' in state) {
+    enPassantTarget = state.enPassantTarget;
+    console.log("En passant target updated:", enPassantTarget);
+  }
+  
+  // Update the move list
+  if (state.startPosition) {
+    startPosition = state.startPosition;
+  }
+  
+  if (state.history) {
+    moveHistory = state.history;
+    renderMoveList();
+  }
+  
+  // Update timers if provided
+  if (state.timers) {
+    timers = state.timers;
+    updateTimerDisplay();
+  }
+  
+  // Update game started status
+  if (state.gameStarted) {
+    document.dispatchEvent(new Event('gameStarted'));
+    
+    const abortBtn = document.getElementById('abortBtn');
+    if (abortBtn) {
+      abortBtn.disabled = true;
+    }
+  }
+  
+  // Handle game result
+  if (state.gameResult) {
+    showGameResult(state.gameResult);
+    gameReady = false;
+  }
+  
+  // Reset move submitted flag
+  moveSubmitted = false;
+  setRetractEnabled(false);
+  
+  // After reconnecting, restore a move we submitted before dropping out
+  if (state.pendingMove && !state.gameResult) {
+    moveSubmitted = true;
+    setRetractEnabled(true);
+    updateStatus('Move submitted. Waiting for opponent...', false);
+  }
+  
+  // Enable/disable submit button
+  const submitBtn = document.getElementById('submitBtn');
+  if (submitBtn) {
+    submitBtn.disabled = !selectedMove || state.gameResult;
+  }
+  
+  // If no special message has been shown (like check or game result)
+  // and the game has started but we have no message, set a default one
+  if (!isSpectator && !inCheck && !state.gameResult && state.gameStarted) {
+    if (document.getElementById('status').textContent === 'Waiting for both players to join...') {
+      updateStatus('Your turn! Select a piece to move.', false);
+    }
+  }
+}
+
 // Set up all the socket event handlers
 function setupSocketHandlers() {
   socket.on('playerColor', (color) => {
@@ -165,105 +335,48 @@ function setupSocketHandlers() {
     updatePlayerInfo();
   });
   
+  // The room is full (or we asked to watch), so we only follow the game
+  socket.on('spectating', () => {
+    console.log('👀 Joined as spectator');
+    isSpectator = true;
+    myColor = null;
+    setSpectatorMode();
+    updateStatus('You are watching this game.', false);
+  });
+  
+  socket.on('spectators', (names) => {
+    updateSpectatorList(names);
+  });
+  
+  // Explain how the round was resolved before the new board arrives
+  socket.on('roundResolved', (data) => {
+    console.log(`Round ${data.round} resolved:`, data.events);
+    showRoundSummary(data.round, data.events);
+    playRoundReveal(data.events);
+  });
+  
   socket.on('boardState', (pos) => {
     console.log("New board state received:", pos);
     
     // Use the new reset function to completely refresh the board
     // This prevents visual artifacts from previous states
-    resetBoardFromPosition(pos);
+    afterReveal(() => resetBoardFromPosition(pos));
   });
   
   socket.on('gameReady', (ready) => {
     gameReady = ready;
-    if (ready) {
+    if (isSpectator) {
+      updateStatus(ready ? 'Both players connected. You are watching this game.' : 'Waiting for both players to join...');
+    } else if (ready) {
       updateStatus('Game ready! Both players connected. Make your move.');
     } else {
       updateStatus('Waiting for both players to join...');
     }
   });
   
+  // Round results wait for the reveal animation to finish
   socket.on('gameState', (state) => {
-    // Update check status for both players
-    if (state.inCheck) {
-      updateCheckStatus(state.inCheck);
-      
-      // Update local check status
-      if (myColor) {
-        inCheck = state.inCheck[myColor];
-        
-        // Show check indicator on my board if I'm in check
-        const checkIndicator = document.getElementById('check-indicator');
-        if (checkIndicator) {
-          if (inCheck) {
-            checkIndicator.style.display = 'flex';
-            updateStatus('CHECK! You must get your king out of check.', true);
-            playSound('check');
-          } else {
-            checkIndicator.style.display = 'none';
-          }
-        }
-      }
-    }
-    
-    // Update last moved pieces
-    if (state.lastMovedPieces) {
-      if (myColor) {
-        lastMovedPiece = state.lastMovedPieces[myColor];
-        console.log("Received last moved piece:", lastMovedPiece);
-      }
-    }
-    
-    // Update last moves
-    if (state.lastMoves) {
-      lastMoves = state.lastMoves;
-      showLastMoves();
-    }
-    
-    // Update castling rights
-    if (state.castlingRights) {
-      castlingRights = state.castlingRights;
-      console.log("Castling rights updated:", castlingRights);
-    }
-    
-    // Update en passant target
-    if ('enPassantTarget' in state) {
-      enPassantTarget = state.enPassantTarget;
-      console.log("En passant target updated:", enPassantTarget);
-    }
-    
-    // Update timers if provided
-    if (state.timers) {
-      timers = state.timers;
-      updateTimerDisplay();
-    }
-    
-    // Update game started status
-    if (state.gameStarted) {
-      document.dispatchEvent(new Event('gameStarted'));
-    }
-    
-    // Handle game result
-    if (state.gameResult) {
-      showGameResult(state.gameResult);
-      gameReady = false;
-    }
-    
-    // Reset move submitted flag
-    moveSubmitted = false;
-    
-    // Enable/disable submit button
-    const submitBtn = document.getElementById('submitBtn');
-    if (submitBtn) {
-      submitBtn.disabled = !selectedMove || state.gameResult;
-    }
-    
-    // If no special message has been shown (like check or game result)
-    // and the game has started but we have no message, set a default one
-    if (!inCheck && !state.gameResult && state.gameStarted) {
-      if (document.getElementById('status').textContent === 'Waiting for both players to join...') {
-        updateStatus('Your turn! Select a piece to move.', false);
-      }
-    }
+    afterReveal(() => handleGameState(state));
   });
   
   socket.on('timerUpdate', (updatedTimers) => {
@@ -272,6 +385,12 @@ function setupSocketHandlers() {
   });
   
   socket.on('gameStarted', () => {
+    // The game can no longer be aborted once a move is submitted
+    const abortBtn = document.getElementById('abortBtn');
+    if (abortBtn) {
+      abortBtn.disabled = true;
+    }
+    
     // Disable settings when game starts
     const applySettingsBtn = document.getElementById('apply-settings');
     if (applySettingsBtn) {
@@ -334,6 +453,21 @@ function setupSocketHandlers() {
   socket.on('moveAccepted', () => {
     updateStatus('Move submitted. Waiting for opponent...', false);
     playSound('move');
+    setRetractEnabled(true);
+  });
+  
+  socket.on('moveRetracted', () => {
+    moveSubmitted = false;
+    setRetractEnabled(false);
+    
+    // Put the piece back where it was
+    resetBoardFromPosition(currentPosition);
+    
+    updateStatus('Move retracted. Select a new move.', false);
+  });
+  
+  socket.on('playerToken', (token) => {
+    localStorage.setItem(`syncchess-token-${roomId}`, token);
   });
   
   socket.on('playerDisconnected', (color) => {
@@ -341,6 +475,41 @@ function setupSocketHandlers() {
     gameReady = false;
   });
   
+  socket.on('playerReconnected', (color) => {
+    showClaimWin(false);
+    if (color !== myColor || isSpectator) {
+      updateStatus(`${color} player reconnected.`, false);
+    }
+  });
+  
+  socket.on('abandonmentClaimable', (color) => {
+    if (isSpectator) {
+      updateStatus(`${color} player has not come back.`, true);
+    } else if (color !== myColor) {
+      updateStatus(`${color} player has not come back. You can claim the win.`, true);
+      showClaimWin(true);
+    }
+  });
+  
+  socket.on('drawOffered', (color) => {
+    if (isSpectator) {
+      updateStatus(`${color} offers a draw.`, false);
+    } else if (color === myColor) {
+      updateStatus('Draw offer sent. Waiting for your opponent to respond...', false);
+    } else {
+      updateStatus(`${color} offers a draw.`, false);
+      showDrawOffer(true);
+    }
+  });
+  
+  socket.on('drawDeclined', (color) => {
+    if (isSpectator) {
+      updateStatus(`The draw offer by ${color} was declined.`, false);
+    } else if (color !== myColor) {
+      updateStatus('Your draw offer was declined.', false);
+    }
+  });
+  
   // Add handler for pawn promotion
   socket.on('promotionNeeded', (data) => {
     const square = data.square;
@@ -354,6 +523,7 @@ function setupSocketHandlers() {
     // Don't add a visual representation here - wait for the boardState update
     // Just provide user feedback 
     updateStatus(`Promoting to ${getPieceName(data.pieceType)}. Waiting for opponent...`, false);
+    setRetractEnabled(true);
     
     // Play promotion sound
     playSound('promotion');
@@ -387,6 +557,80 @@ function setupEventListeners() {
     submitBtn.addEventListener('click', submitMove);
   }
   
+  // Retract move button
+  const retractBtn = document.getElementById('retractBtn');
+  if (retractBtn) {
+    retractBtn.addEventListener('click', () => {
+      socket.emit('retractMove', { gameId: roomId });
+    });
+  }
+  
+  // Resign button
+  const resignBtn = document.getElementById('resignBtn');
+  if (resignBtn) {
+    resignBtn.addEventListener('click', () => {
+      if (confirm('Are you sure you want to resign?')) {
+        socket.emit('resign', { gameId: roomId });
+      }
+    });
+  }
+  
+  // Offer draw button
+  const drawBtn = document.getElementById('drawBtn');
+  if (drawBtn) {
+    drawBtn.addEventListener('click', () => {
+      socket.emit('offerDraw', { gameId: roomId });
+    });
+  }
+  
+  // Draw offer answers
+  const acceptDrawBtn = document.getElementById('accept-draw-btn');
+  if (acceptDrawBtn) {
+    acceptDrawBtn.addEventListener('click', () => {
+      socket.emit('respondDraw', { gameId: roomId, accept: true });
+      showDrawOffer(false);
+    });
+  }
+  
+  const declineDrawBtn = document.getElementById('decline-draw-btn');
+  if (declineDrawBtn) {
+    declineDrawBtn.addEventListener('click', () => {
+      socket.emit('respondDraw', { gameId: roomId, accept: false });
+      showDrawOffer(false);
+    });
+  }
+  
+  // Abort button (only before the first move)
+  const abortBtn = document.getElementById('abortBtn');
+  if (abortBtn) {
+    abortBtn.addEventListener('click', () => {
+      socket.emit('abort', { gameId: roomId });
+    });
+  }
+  
+  // Claim the win after the opponent's reconnection grace period
+  const claimWinBtn = document.getElementById('claimWinBtn');
+  if (claimWinBtn) {
+    claimWinBtn.addEventListener('click', () => {
+      socket.emit('claimWin', { gameId: roomId });
+      showClaimWin(false);
+    });
+  }
+  
+  // Return from an earlier position in the move list to the live board
+  const liveBtn = document.getElementById('live-btn');
+  if (liveBtn) {
+    liveBtn.addEventListener('click', showLivePosition);
+  }
+  
+  // Download the game in the SyncChess text format
+  const exportBtn = document.getElementById('exportBtn');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      window.location.href = `/api/games/${encodeURIComponent(roomId)}/export`;
+    });
+  }
+  
   // Reset game button
   const resetBtn = document.getElementById('resetBtn');
   if (resetBtn) {
@@ -447,6 +691,27 @@ function setupEventListeners() {
     });
   }
   
+  // Animation toggle button for the round reveal
+  const animationToggleBtn = document.getElementById('animation-toggle');
+  if (animationToggleBtn) {
+    // Set initial state based on localStorage
+    const animationsDisabled = localStorage.getItem('animationsDisabled');
+    animationToggleBtn.textContent = animationsDisabled ? 'Animation Off' : 'Animation On';
+    animationToggleBtn.classList.toggle('inactive', !!animationsDisabled);
+    
+    animationToggleBtn.addEventListener('click', () => {
+      if (localStorage.getItem('animationsDisabled')) {
+        localStorage.removeItem('animationsDisabled');
+        animationToggleBtn.textContent = 'Animation On';
+        animationToggleBtn.classList.remove('inactive');
+      } else {
+        localStorage.setItem('animationsDisabled', 'true');
+        animationToggleBtn.textContent = 'Animation Off';
+        animationToggleBtn.classList.add('inactive');
+      }
+    });
+  }
+  
   // Settings button
   const settingsBtn = document.getElementById('settings-btn');
   const settingsPanel = document.getElementById('settings-panel');
@@ -478,6 +743,14 @@ function setupEventListeners() {
   });
 }
 
+// Enable the retract button only while a submitted move is waiting for the opponent
+function setRetractEnabled(enabled) {
+  const retractBtn = document.getElementById('retractBtn');
+  if (retractBtn) {
+    retractBtn.disabled = !enabled;
+  }
+}
+
 // Toggle rules display - legacy support
 function toggleRules() {
   const rulesContent = document.getElementById('rules-content');
@@ -57,6 +57,48 @@ function updateStatus(message, isError = false) {
       blackStatus.textContent = 'You';
       document.getElementById('player-black').classList.add('active');
     }
+    
+    // Name the seats the computer plays
+    computerSeats.forEach(colorName => {
+      const nameElement = document.querySelector(`#player-${colorName} .player-name`);
+      if (nameElement) {
+        nameElement.textContent = `${colorName === 'white' ? 'White' : 'Black'} (Computer)`;
+      }
+    });
+  }
+  
+  // Turn the page into a read-only view for spectators
+  function setSpectatorMode() {
+    ['submitBtn', 'retractBtn', 'resignBtn', 'drawBtn', 'abortBtn', 'claimWinBtn', 'settings-btn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.style.display = 'none';
+      }
+    });
+    
+    const helpTip = document.querySelector('.room-info .help-tip');
+    if (helpTip) {
+      helpTip.textContent = 'You are spectating this game';
+    }
+  }
+  
+  // Show how many people are watching and who they are
+  function updateSpectatorList(names) {
+    const countElement = document.getElementById('spectator-count');
+    const listElement = document.getElementById('spectator-list');
+    
+    if (countElement) {
+      countElement.textContent = names.length;
+    }
+    
+    if (listElement) {
+      listElement.innerHTML = '';
+      names.forEach(name => {
+        const item = document.createElement('li');
+        item.textContent = name;
+        listElement.appendChild(item);
+      });
+    }
   }
   
   // Format time for display
@@ -112,6 +154,22 @@ function updateStatus(message, isError = false) {
     }
   }
   
+  // Show or hide the opponent's draw offer
+  function showDrawOffer(visible) {
+    const drawOffer = document.getElementById('draw-offer');
+    if (drawOffer) {
+      drawOffer.style.display = visible ? 'block' : 'none';
+    }
+  }
+  
+  // Show or hide the button for claiming a win against a departed opponent
+  function showClaimWin(visible) {
+    const claimWinBtn = document.getElementById('claimWinBtn');
+    if (claimWinBtn) {
+      claimWinBtn.style.display = visible ? 'inline-block' : 'none';
+    }
+  }
+  
   // Generate a random room ID
   function generateRoomId() {
     const characters = 'abcdefghijklmnopqrstuvwxyz0123456789';
@@ -180,7 +238,178 @@ function updateStatus(message, isError = false) {
     }
   }
   
-  // Display game result with stalemate detection
+  // How each house rule reads when it differs from the normal SyncChess rules
+  const HOUSE_RULE_LABELS = {
+    collisionRemovesBoth: 'colliding pieces bounce back',
+    swerve: 'no swerving: pieces that move away are still captured',
+    noRepeat: 'the same piece may move twice in a row',
+    stayInCheck: 'kings may stay in check'
+  };
+  
+  // List the variant and any house rules the room was created with
+  function updateVariantInfo() {
+    const infoElement = document.getElementById('variant-info');
+    if (!infoElement) return;
+    
+    const notes = Object.keys(HOUSE_RULE_LABELS)
+      .filter(name => houseRules && houseRules[name] !== SyncChessRules.DEFAULT_RULES[name])
+      .map(name => HOUSE_RULE_LABELS[name]);
+    
+    if (variant === 'threeCheck') {
+      notes.unshift('Three-check: giving check three times wins');
+    } else if (variant === 'kingOfTheHill') {
+      notes.unshift('King of the Hill: a king reaching d4, d5, e4 or e5 wins');
+    }
+    
+    if (chess960) {
+      notes.unshift('Chess960');
+    }
+    
+    infoElement.textContent = notes.length ? `House rules: ${notes.join('; ')}` : '';
+    infoElement.style.display = notes.length ? 'block' : 'none';
+    
+    // Mark the hill in King of the Hill
+    ['d4', 'd5', 'e4', 'e5'].forEach(square => {
+      $(`[data-square="${square}"]`).toggleClass('hill-square', variant === 'kingOfTheHill');
+    });
+  }
+  
+  // Three-check: show how many checks each side has given
+  function updateCheckCounters(checksGiven) {
+    ['white', 'black'].forEach(colorName => {
+      const counterElement = document.getElementById(`${colorName}-checks`);
+      if (!counterElement) return;
+      
+      counterElement.textContent = `Checks given: ${checksGiven[colorName]} / 3`;
+      counterElement.style.display = variant === 'threeCheck' ? 'block' : 'none';
+    });
+  }
+  
+  // Render the move list, one row per round; clicking a move shows the position after it
+  function renderMoveList() {
+    const listElement = document.getElementById('move-list');
+    if (!listElement) return;
+    
+    listElement.innerHTML = '';
+    
+    const addEntry = (played, text, parent) => {
+      const entry = document.createElement('span');
+      entry.className = 'move-entry';
+      entry.textContent = text;
+      if (viewingRound === played) {
+        entry.classList.add('viewing');
+      }
+      entry.addEventListener('click', () => showHistoryPosition(played));
+      parent.appendChild(entry);
+    };
+    
+    const startRow = document.createElement('li');
+    startRow.className = 'move-row start';
+    addEntry(0, 'Start', startRow);
+    listElement.appendChild(startRow);
+    
+    moveHistory.forEach((entry, index) => {
+      const row = document.createElement('li');
+      row.className = 'move-row';
+      
+      const number = document.createElement('span');
+      number.className = 'move-number';
+      number.textContent = `${entry.round}.`;
+      row.appendChild(number);
+      
+      addEntry(index + 1, entry.white, row);
+      addEntry(index + 1, entry.black, row);
+      listElement.appendChild(row);
+    });
+    
+    // Keep the newest round in view while following the live game
+    if (viewingRound === null) {
+      listElement.scrollTop = listElement.scrollHeight;
+    }
+    
+    const liveBtn = document.getElementById('live-btn');
+    if (liveBtn) {
+      liveBtn.style.display = viewingRound === null ? 'none' : 'inline-block';
+    }
+  }
+  
+  // Messages for the round events worth explaining (plain moves and checks show on the board)
+  const ROUND_EVENT_MESSAGES = {
+    collision: (event) => event.bounced ?
+      `Collision on ${event.square}! Both pieces bounced back.` :
+      `Collision on ${event.square}! Both pieces were removed.`,
+    swerve: (event) => `The ${event.color} ${getPieceName(event.attacker[1]).toLowerCase()} missed on ${event.square}: its target swerved to ${event.targetTo}.`,
+    capture: (event) => `The ${event.color} ${getPieceName(event.piece[1]).toLowerCase()} captured the ${getPieceName(event.captured[1]).toLowerCase()} on ${event.square}.`,
+    enPassant: (event) => `${event.color} captured en passant on ${event.to}.`,
+    castle: (event) => `${event.color} castled ${event.side === 'kingSide' ? 'kingside' : 'queenside'}.`,
+    promotion: (event) => `${event.color} promoted a pawn to a ${getPieceName(event.pieceType).toLowerCase()} on ${event.square}.`
+  };
+  
+  // Show what happened in the last round
+  function showRoundSummary(round, events) {
+    const summaryElement = document.getElementById('round-summary');
+    if (!summaryElement) return;
+    
+    const messages = events
+      .filter(event => ROUND_EVENT_MESSAGES[event.type])
+      .map(event => ROUND_EVENT_MESSAGES[event.type](event));
+    
+    summaryElement.textContent = messages.length > 0 ?
+      `Round ${round}: ${messages.join(' ')}` :
+      `Round ${round}: both moves were played.`;
+    summaryElement.style.display = 'block';
+  }
+  
+  // Messages for each reason a game can be won, given the winner and loser names
+  const WIN_REASON_MESSAGES = {
+    checkmate: (winner) => `${winner} wins by checkmate!`,
+    timeout: (winner) => `${winner} wins on time!`,
+    kingCollision: (winner, loser) => `${winner} wins! The ${loser.toLowerCase()} king was removed in a collision.`,
+    kingCaptured: (winner, loser) => `${winner} wins by capturing the ${loser.toLowerCase()} king!`,
+    threeCheck: (winner) => `${winner} wins by giving check three times!`,
+    kingOfTheHill: (winner) => `${winner} wins! The ${winner.toLowerCase()} king reached the center of the board.`,
+    resignation: (winner, loser) => `${winner} wins! ${loser} resigned.`,
+    abandonment: (winner, loser) => `${winner} wins! ${loser} abandoned the game.`,
+    illegalMove: (winner, loser) => `${winner} wins! The ${loser.toLowerCase()} computer kept playing illegal moves.`,
+    noMove: (winner, loser) => `${winner} wins! The ${loser.toLowerCase()} computer failed to choose a move.`
+  };
+  
+  // Messages for each reason a game can end in a draw
+  const DRAW_REASON_MESSAGES = {
+    kingCollision: 'Draw! Both kings were removed in a collision.',
+    kingCaptured: 'Draw! Both kings were captured.',
+    checkmate: 'Draw! Both kings are in checkmate.',
+    threeCheck: 'Draw! Both sides gave their third check in the same round.',
+    kingOfTheHill: 'Draw! Both kings reached the center of the board in the same round.',
+    stalemate: 'Draw by stalemate! A player has no legal moves.',
+    insufficientMaterial: 'Draw by insufficient material! Neither side can deliver checkmate.',
+    fiftyMoveRule: 'Draw by the 50-move rule! No capture or pawn move in the last 50 moves.',
+    threefoldRepetition: 'Draw by threefold repetition! The same position occurred three times.',
+    agreement: 'Draw by agreement!',
+    aborted: 'The game was aborted before it started.'
+  };
+  
+  // Describe a game result ({ winner, reason, round }) in words
+  function describeGameResult(result) {
+    let message;
+    
+    if (result.winner) {
+      const winner = result.winner === 'white' ? 'White' : 'Black';
+      const loser = result.winner === 'white' ? 'Black' : 'White';
+      const describeWin = WIN_REASON_MESSAGES[result.reason];
+      message = describeWin ? describeWin(winner, loser) : `${winner} wins!`;
+    } else {
+      message = DRAW_REASON_MESSAGES[result.reason] || 'The game is a draw!';
+    }
+    
+    if (result.round) {
+      message += ` (round ${result.round})`;
+    }
+    
+    return message;
+  }
+  
+  // Display game result with its reason
   function showGameResult(result) {
     const resultElement = document.getElementById('game-result');
     if (!resultElement) return;
@@ -188,88 +417,51 @@ function updateStatus(message, isError = false) {
     // Clear previous result
     resultElement.className = '';
     
-    switch (result) {
-      case 'whiteWins':
-        resultElement.textContent = 'White wins by checkmate!';
-        resultElement.className = 'game-result white-wins';
-        
-        // Play victory sound for white, defeat for black
-        if (myColor === 'white') {
-          playSound('victory');
-        } else {
-          playSound('defeat');
-        }
-        break;
-      case 'blackWins':
-        resultElement.textContent = 'Black wins by checkmate!';
-        resultElement.className = 'game-result black-wins';
-        
-        // Play victory sound for black, defeat for white
-        if (myColor === 'black') {
-          playSound('victory');
-        } else {
-          playSound('defeat');
-        }
-        break;
-      case 'draw':
-        // Check if this is a stalemate (only if we have inCheck info)
-        if (game && game.inCheck) {
-          if (game.inCheck.white && game.inCheck.black) {
-            resultElement.textContent = 'Draw! Both kings are in checkmate.';
-          } else if (!game.inCheck.white && !game.inCheck.black) {
-            resultElement.textContent = 'Draw by stalemate! Neither player can make a legal move.';
-          } else if (!game.inCheck.white) {
-            resultElement.textContent = 'Draw by stalemate! White has no legal moves.';
-          } else if (!game.inCheck.black) {
-            resultElement.textContent = 'Draw by stalemate! Black has no legal moves.';
-          }
-        } else {
-          // Fallback if we don't have check info
-          resultElement.textContent = 'The game is a draw!';
-        }
-        resultElement.className = 'game-result draw';
-        playSound('draw');
-        break;
-      case 'whiteTimeout':
-        resultElement.textContent = 'Black wins on time!';
-        resultElement.className = 'game-result black-wins';
-        
-        // Play appropriate sound based on player color
-        if (myColor === 'black') {
-          playSound('victory');
-        } else {
-          playSound('defeat');
-        }
-        break;
-      case 'blackTimeout':
-        resultElement.textContent = 'White wins on time!';
-        resultElement.className = 'game-result white-wins';
-        
-        // Play appropriate sound based on player color
-        if (myColor === 'white') {
-          playSound('victory');
-        } else {
-          playSound('defeat');
-        }
-        break;
-      default:
-        resultElement.textContent = '';
-        resultElement.className = '';
-        return;
+    if (!result) {
+      resultElement.textContent = '';
+      return;
+    }
+    
+    resultElement.textContent = describeGameResult(result);
+    
+    if (result.winner) {
+      resultElement.className = `game-result ${result.winner}-wins`;
+      
+      // Play victory sound for the winner (and spectators), defeat for the loser
+      if (myColor === result.winner || !myColor) {
+        playSound('victory');
+      } else {
+        playSound('defeat');
+      }
+    } else {
+      resultElement.className = 'game-result draw';
+      playSound('draw');
     }
     
     // Show the result area
     resultElement.style.display = 'block';
     
-    // Disable the submit button
-    const submitBtn = document.getElementById('submitBtn');
-    if (submitBtn) {
-      submitBtn.disabled = true;
-    }
+    // Disable the submit button and the game actions
+    ['submitBtn', 'retractBtn', 'resignBtn', 'drawBtn', 'abortBtn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.disabled = true;
+      }
+    });
+    
+    // Hide any open draw offer or win claim
+    showDrawOffer(false);
+    showClaimWin(false);
     
     // Show a new game button
     const newGameBtn = document.getElementById('new-game-btn');
     if (newGameBtn) {
       newGameBtn.style.display = 'block';
     }
+    
+    // Offer the finished game for download
+    const exportBtn = document.getElementById('exportBtn');
+    if (exportBtn) {
+      exportBtn.style.display = 'inline-block';
+    }
   }
\ No newline at end of file
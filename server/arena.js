@@ -0,0 +1,239 @@
+/**
+ * Bot-vs-bot arena
+ *
+ * Plays a match between two bots straight through createGameState and
+ * processMoves, without a server or sockets, to measure bot strength and to
+ * put the rules engine through many games. The bots swap colors every game.
+ *
+ *   npm run arena -- --games 20 --bot1 hard --bot2 medium
+ *   npm run arena -- --bot1 medium --bot2 "node engines/randomEngine.js" --variant threeCheck
+ *
+ * Options:
+ *   --games <n>        games to play (default 10)
+ *   --bot1, --bot2     a built-in level (easy, medium, hard) or an engine command
+ *                      line (see engineBot.js); bot1 has white in the first game
+ *   --variant <name>   standard, threeCheck or kingOfTheHill
+ *   --chess960         a new random Chess960 setup every game
+ *   --rules <list>     house rules, e.g. "swerve=off,noRepeat=off"
+ *   --max-rounds <n>   games still going after this many rounds are drawn (default 200)
+ *   --out <file>       where to write the games (default arena-games.txt)
+ *
+ * The report gives wins, draws and losses with their reasons and how many
+ * collisions happened. Every game is also exported and imported again, so a
+ * game the rules engine can't replay shows up as a replay failure.
+ */
+const fs = require('fs');
+const { createGameState, VARIANTS } = require('./boardUtils');
+const { validateMove, processMoves } = require('./gameLogic');
+const { exportGame, importGame, parseRules } = require('./gameRecord');
+const { BOT_LEVELS, createBot } = require('./bot');
+const { createEngineBot } = require('./engineBot');
+
+const DEFAULT_OPTIONS = {
+  games: 10,
+  bot1: 'medium',
+  bot2: 'easy',
+  variant: 'standard',
+  chess960: false,
+  rules: '',
+  maxRounds: 200,
+  out: 'arena-games.txt'
+};
+
+// Read "--name value" pairs (and the --chess960 flag) from the command line
+function parseArguments(argv) {
+  const options = { ...DEFAULT_OPTIONS };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '').replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+    if (!(name in DEFAULT_OPTIONS)) {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    
+    if (name === 'chess960') {
+      options.chess960 = true;
+    } else if (i + 1 >= argv.length) {
+      throw new Error(`Missing a value for ${argv[i]}`);
+    } else {
+      options[name] = typeof DEFAULT_OPTIONS[name] === 'number' ? parseInt(argv[++i]) : argv[++i];
+    }
+  }
+  
+  if (!(options.games > 0) || !(options.maxRounds > 0)) {
+    throw new Error('--games and --max-rounds must be positive numbers');
+  }
+  
+  if (!VARIANTS.includes(options.variant)) {
+    throw new Error(`Unknown variant: ${options.variant} (use ${VARIANTS.join(', ')})`);
+  }
+  
+  // House rules are written like the Rules header of a game file
+  const rules = parseRules(options.rules);
+  if (!rules) {
+    throw new Error(`Unknown house rules: ${options.rules}`);
+  }
+  options.rules = rules;
+  
+  return options;
+}
+
+// A built-in bot for a level name, otherwise an external engine
+function createArenaBot(spec) {
+  if (spec in BOT_LEVELS) {
+    return { ...createBot(spec), name: spec };
+  }
+  return createEngineBot(spec);
+}
+
+// A pawn move to the last rank that names no piece promotes to a queen, as it
+// does for bots seated on the server
+function withDefaultPromotion(game, colorName, move) {
+  const piece = game.position[move.from];
+  const lastRank = colorName === 'white' ? '8' : '1';
+  if (move.promotion || piece[1] !== 'P' || move.to[1] !== lastRank) {
+    return move;
+  }
+  return { ...move, promotion: 'Q' };
+}
+
+// Play one game to the end. A bot that fails to move, or sends an illegal
+// move, loses the game
+// Returns the finished game
+async function playGame(players, options) {
+  const game = createGameState(0, {
+    chess960: options.chess960,
+    variant: options.variant,
+    rules: options.rules
+  });
+  
+  const forfeit = (colorName, reason) => {
+    game.gameResult = { winner: colorName === 'white' ? 'black' : 'white', reason, round: game.moveHistory.length + 1 };
+  };
+  
+  while (!game.gameResult) {
+    if (game.moveHistory.length >= options.maxRounds) {
+      game.gameResult = { winner: null, reason: 'roundLimit', round: game.moveHistory.length };
+      break;
+    }
+    
+    const moves = await Promise.all(['white', 'black'].map(colorName =>
+      players[colorName].chooseMove(game, colorName).catch(err => {
+        console.log(`⚠️ ${players[colorName].name} (${colorName}) failed to move: ${err.message}`);
+        return null;
+      })
+    ));
+    
+    for (const [index, colorName] of ['white', 'black'].entries()) {
+      const validation = moves[index] ? validateMove(game, colorName[0], moves[index]) : { valid: false, message: 'no move' };
+      if (!validation.valid) {
+        console.log(`⚠️ ${players[colorName].name} (${colorName}) played an illegal move: ${validation.message}`);
+        forfeit(colorName, moves[index] ? 'illegalMove' : 'noMove');
+        break;
+      }
+      moves[index] = withDefaultPromotion(game, colorName, moves[index]);
+    }
+    
+    if (!game.gameResult) {
+      game.pendingMoves = { white: moves[0], black: moves[1] };
+      processMoves(game, { silent: true });
+      game.pendingMoves = { white: null, black: null };
+    }
+  }
+  
+  // Engines only tell their name once they have started
+  game.playerNames = { white: players.white.name, black: players.black.name };
+  return game;
+}
+
+// Print the match summary from bot1's and bot2's point of view. Each played
+// game is { game, seats } with seats.white/seats.black the index of the bot
+function printReport(names, played, replayFailures, out) {
+  const tally = names.map(() => ({ wins: 0, draws: 0, losses: 0 }));
+  const reasons = {};
+  let collisions = 0;
+  
+  played.forEach(({ game, seats }) => {
+    const winner = game.gameResult.winner;
+    names.forEach((name, index) => {
+      const key = !winner ? 'draws' : seats[winner] === index ? 'wins' : 'losses';
+      tally[index][key]++;
+    });
+    
+    const reasonKey = `${game.gameResult.reason} (${winner ? `${names[seats[winner]]} won` : 'draw'})`;
+    reasons[reasonKey] = (reasons[reasonKey] || 0) + 1;
+    
+    game.moveHistory.forEach(entry => {
+      collisions += entry.events.filter(event => event.type === 'collision').length;
+    });
+  });
+  
+  console.log(`\n🏟️ ${names[0]} vs ${names[1]}, ${played.length} games`);
+  names.forEach((name, index) => {
+    const { wins, draws, losses } = tally[index];
+    console.log(`  ${name}: ${wins} won, ${draws} drawn, ${losses} lost`);
+  });
+  
+  console.log('  Results:');
+  Object.entries(reasons)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([reason, count]) => console.log(`    ${reason}: ${count}`));
+  
+  console.log(`  Collisions: ${collisions} (${(collisions / played.length).toFixed(1)} per game)`);
+  console.log(`  Replay check: ${played.length - replayFailures.length}/${played.length} games imported again cleanly`);
+  replayFailures.forEach(failure => console.log(`    game ${failure.number}: ${failure.message}`));
+  console.log(`  Games written to ${out}`);
+}
+
+async function runArena(options) {
+  const bots = [createArenaBot(options.bot1), createArenaBot(options.bot2)];
+  const played = [];
+  const records = [];
+  const replayFailures = [];
+  
+  try {
+    for (let number = 1; number <= options.games; number++) {
+      // Bot 1 has white in odd games
+      const seats = number % 2 === 1 ? { white: 0, black: 1 } : { white: 1, black: 0 };
+      const game = await playGame({ white: bots[seats.white], black: bots[seats.black] }, options);
+      played.push({ game, seats });
+      
+      const record = exportGame(game, { Event: 'SyncChess arena', Round: String(number) });
+      records.push(record);
+      
+      const replay = importGame(record);
+      if (!replay.valid) {
+        replayFailures.push({ number, message: replay.message });
+      }
+      
+      console.log(`Game ${number}: ${game.playerNames.white} - ${game.playerNames.black} ${record.match(/\[Result "(.*)"\]/)[1]} (${game.gameResult.reason}, ${game.moveHistory.length} rounds)`);
+    }
+  } finally {
+    bots.forEach(bot => bot.close && bot.close());
+  }
+  
+  fs.writeFileSync(options.out, records.join('\n'));
+  
+  // Two copies of the same bot still need telling apart in the report
+  const sameName = bots[0].name === bots[1].name;
+  const names = bots.map((bot, index) => sameName ? `${bot.name} (bot${index + 1})` : bot.name);
+  printReport(names, played, replayFailures, options.out);
+}
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  
+  runArena(options).catch(err => {
+    console.error('❌ Arena failed:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runArena
+};
@@ -1,9 +1,12 @@
 /**
  * Utility functions for chess board manipulation
  */
+const { DEFAULT_RULES, STANDARD_CASTLING_ROOKS, positionToBoard, boardToPosition, squareToCoords, coordsToSquare, isInCheck } = require('../shared/rules');
 
 // Get starting position with unique piece IDs
-function getStartingPosition() {
+// backRank lists white's first-rank pieces from the a-file to the h-file
+// (black mirrors it); rooks, knights and bishops are numbered from the a-file
+function getStartingPosition(backRank = 'RNBQKBNR') {
     const pos = {};
     
     // Initialize pawns with unique IDs (file letter)
@@ -14,79 +17,387 @@ function getStartingPosition() {
     }
     
     // Initialize back row pieces with unique IDs
-    pos['a1'] = 'wR1'; // White rooks
-    pos['h1'] = 'wR2';
-    pos['a8'] = 'bR1'; // Black rooks
-    pos['h8'] = 'bR2';
-    
-    pos['b1'] = 'wN1'; // White knights
-    pos['g1'] = 'wN2';
-    pos['b8'] = 'bN1'; // Black knights
-    pos['g8'] = 'bN2';
-    
-    pos['c1'] = 'wB1'; // White bishops
-    pos['f1'] = 'wB2';
-    pos['c8'] = 'bB1'; // Black bishops
-    pos['f8'] = 'bB2';
-    
-    pos['d1'] = 'wQ';  // White queen
-    pos['e1'] = 'wK';  // White king
-    pos['d8'] = 'bQ';  // Black queen
-    pos['e8'] = 'bK';  // Black king
+    const counts = {};
+    for (let i = 0; i < 8; i++) {
+      const f = String.fromCharCode(97 + i);
+      const type = backRank[i];
+      const id = (type === 'K' || type === 'Q') ? '' : (counts[type] = (counts[type] || 0) + 1);
+      pos[f + '1'] = 'w' + type + id;
+      pos[f + '8'] = 'b' + type + id;
+    }
     
     return pos;
   }
   
-  // Convert position object to a 2D array for easier processing
-  function positionToBoard(position) {
-    const board = Array(8).fill().map(() => Array(8).fill(null));
-    
-    Object.entries(position).forEach(([square, piece]) => {
-      const file = square.charCodeAt(0) - 97; // 'a' -> 0
-      const rank = 8 - parseInt(square[1]);   // '1' -> 7
-      board[rank][file] = piece;
+  // Knight placements for Chess960 numbering, over the five squares left
+  // once the bishops and queen are placed
+  const CHESS960_KNIGHTS = ['NN---', 'N-N--', 'N--N-', 'N---N', '-NN--', '-N-N-', '-N--N', '--NN-', '--N-N', '---NN'];
+  
+  // One of the 960 Chess960 back ranks, by its standard number (0-959, 518 is
+  // the normal setup) or at random: bishops on opposite colors and the king
+  // somewhere between the rooks
+  function getChess960BackRank(index = Math.floor(Math.random() * 960)) {
+    const rank = Array(8).fill(null);
+    let n = index;
+    
+    rank[(n % 4) * 2 + 1] = 'B'; // Light-squared bishop on b, d, f or h
+    n = Math.floor(n / 4);
+    rank[(n % 4) * 2] = 'B';     // Dark-squared bishop on a, c, e or g
+    n = Math.floor(n / 4);
+    
+    const emptyFiles = () => rank.map((piece, file) => piece ? null : file).filter(file => file !== null);
+    rank[emptyFiles()[n % 6]] = 'Q';
+    n = Math.floor(n / 6);
+    
+    const knights = CHESS960_KNIGHTS[n];
+    emptyFiles().forEach((file, i) => {
+      if (knights[i] === 'N') rank[file] = 'N';
     });
     
-    return board;
+    // Rook, king, rook on the three squares that are left
+    const [queenRook, king, kingRook] = emptyFiles();
+    rank[queenRook] = 'R';
+    rank[king] = 'K';
+    rank[kingRook] = 'R';
+    
+    return rank.join('');
   }
   
-  // Convert 2D array back to position object
-  function boardToPosition(board) {
-    const position = {};
+  // The squares of the castling rooks: the rooks either side of each king
+  function findCastlingRooks(position) {
+    const castlingRooks = {};
+    
+    [['white', '1', 'w'], ['black', '8', 'b']].forEach(([colorName, rank, color]) => {
+      const files = 'abcdefgh'.split('');
+      const kingFile = files.find(file => (position[file + rank] || '').startsWith(color + 'K'));
+      const rookFiles = files.filter(file => (position[file + rank] || '').startsWith(color + 'R'));
+      
+      castlingRooks[colorName] = {
+        kingSide: (rookFiles.filter(file => file > kingFile).pop() || 'h') + rank,
+        queenSide: (rookFiles.find(file => file < kingFile) || 'a') + rank
+      };
+    });
+    
+    return castlingRooks;
+  }
+  
+  // Key identifying a position for repetition detection: the pieces (with
+  // their IDs), castling rights, en passant target and the last moved pieces
+  function getPositionKey(game) {
+    const board = positionToBoard(game.position);
+    const placement = board.map(row => row.map(piece => piece || '.').join(',')).join('/');
+    const castling = ['white', 'black'].map(colorName =>
+      (game.castlingRights[colorName].kingSide ? 'K' : '-') +
+      (game.castlingRights[colorName].queenSide ? 'Q' : '-')
+    ).join('');
+    
+    const key = [
+      placement,
+      castling,
+      game.enPassantTarget || '-',
+      game.lastMovedPieces.white || '-',
+      game.lastMovedPieces.black || '-'
+    ];
+    
+    // In three-check the checks given so far matter too
+    if (game.variant === 'threeCheck') {
+      key.push(`${game.checksGiven.white}+${game.checksGiven.black}`);
+    }
+    
+    return key.join(' ');
+  }
+  
+  // The round about to be played; games started from a saved position
+  // continue that position's round numbering
+  function getCurrentRound(game) {
+    return (game.firstRound || 1) + game.moveHistory.length;
+  }
+  
+  // SFEN: a FEN-like string holding everything the SyncChess rules depend on
+  //
+  //   r{1}n{1}b{1}qkb{2}n{2}r{2}/p{a}p{b}.../8/8/8/8/P{a}P{b}.../R{1}N{1}B{1}QKB{2}N{2}R{2} KQkq - 0 1 -,- -
+  //
+  // Fields: placement (each piece may carry its unique ID in braces), castling
+  // rights (KQkq, or the castling rooks' files such as "HAha" in Chess960
+  // games), en passant target, halfmove clock, round, the last moved piece of
+  // white and black, and who is in check ("w", "b", "wb" or "-"). Three-check
+  // games add the checks each side has given, e.g. "2+1".
+  function toSFEN(game) {
+    const board = positionToBoard(game.position);
+    const placement = board.map(row => {
+      let text = '';
+      let empty = 0;
+      
+      row.forEach(piece => {
+        if (!piece) {
+          empty++;
+          return;
+        }
+        
+        if (empty) {
+          text += empty;
+          empty = 0;
+        }
+        
+        const letter = piece[0] === 'w' ? piece[1] : piece[1].toLowerCase();
+        text += piece.length > 2 ? `${letter}{${piece.substring(2)}}` : letter;
+      });
+      
+      return empty ? text + empty : text;
+    }).join('/');
+    
+    // Chess960 games write the file of each castling rook instead of K/Q
+    const castlingLetter = (colorName, side) => {
+      if (!game.castlingRights[colorName][side]) return '';
+      const letter = game.chess960 ? game.castlingRooks[colorName][side][0] : (side === 'kingSide' ? 'k' : 'q');
+      return colorName === 'white' ? letter.toUpperCase() : letter;
+    };
+    const castling = castlingLetter('white', 'kingSide') + castlingLetter('white', 'queenSide') +
+                     castlingLetter('black', 'kingSide') + castlingLetter('black', 'queenSide');
+    const check = (game.inCheck.white ? 'w' : '') + (game.inCheck.black ? 'b' : '');
+    
+    const fields = [
+      placement,
+      castling || '-',
+      game.enPassantTarget || '-',
+      game.halfmoveClock,
+      getCurrentRound(game),
+      `${game.lastMovedPieces.white || '-'},${game.lastMovedPieces.black || '-'}`,
+      check || '-'
+    ];
+    
+    if (game.variant === 'threeCheck') {
+      fields.push(`${game.checksGiven.white}+${game.checksGiven.black}`);
+    }
+    
+    return fields.join(' ');
+  }
+  
+  // Read an SFEN back into the rule-relevant game state
+  // Only the placement is required. A plain FEN also works (its side-to-move
+  // field is skipped), and pieces without an ID get one that is unique on the
+  // board, using the same scheme as getStartingPosition. Throws on bad input.
+  function fromSFEN(sfen) {
+    if (typeof sfen !== 'string' || !sfen.trim()) {
+      throw new Error('Invalid SFEN: empty string');
+    }
+    
+    const fields = sfen.trim().split(/\s+/);
+    
+    // Plain FEN has a side to move, which SyncChess doesn't use
+    if (fields[1] === 'w' || fields[1] === 'b') {
+      fields.splice(1, 1);
+    }
+    
+    const [placement, castling = '-', enPassant = '-', halfmove = '0', round = '1', lastMoved = '-,-', check, checks] = fields;
+    
+    // Read the pieces, rank 8 first
+    const ranks = placement.split('/');
+    if (ranks.length !== 8) {
+      throw new Error('Invalid SFEN: the placement needs 8 ranks');
+    }
+    
+    const pieces = [];
+    ranks.forEach((rankText, rankIndex) => {
+      const pattern = /(\d)|([KQRBNPkqrbnp])(?:\{([A-Za-z0-9]*)\})?|(.)/g;
+      let file = 0;
+      let match;
+      
+      while ((match = pattern.exec(rankText)) !== null) {
+        if (match[4] !== undefined) {
+          throw new Error(`Invalid SFEN: unexpected "${match[4]}" in rank ${8 - rankIndex}`);
+        }
+        
+        if (match[1] !== undefined) {
+          file += parseInt(match[1]);
+          continue;
+        }
+        
+        // A piece past the h-file makes the rank too long
+        if (file > 7) {
+          throw new Error(`Invalid SFEN: rank ${8 - rankIndex} does not have 8 squares`);
+        }
+        
+        const letter = match[2];
+        pieces.push({
+          square: coordsToSquare({ rank: rankIndex, file: file }),
+          color: letter === letter.toUpperCase() ? 'w' : 'b',
+          type: letter.toUpperCase(),
+          id: match[3] !== undefined ? match[3] : null
+        });
+        file++;
+      }
+      
+      if (file !== 8) {
+        throw new Error(`Invalid SFEN: rank ${8 - rankIndex} does not have 8 squares`);
+      }
+    });
+    
+    // Give pieces written without an ID one that is unused: pawns take their
+    // file letter, kings and queens no suffix, everything else the next number
+    const used = new Set(pieces.filter(piece => piece.id !== null).map(piece => piece.color + piece.type + piece.id));
+    if (used.size !== pieces.filter(piece => piece.id !== null).length) {
+      throw new Error('Invalid SFEN: piece IDs must be unique');
+    }
     
-    for (let rank = 0; rank < 8; rank++) {
-      for (let file = 0; file < 8; file++) {
-        const piece = board[rank][file];
-        if (piece) {
-          const square = String.fromCharCode(97 + file) + (8 - rank);
-          position[square] = piece;
+    pieces.filter(piece => piece.id === null).forEach(piece => {
+      const prefix = piece.color + piece.type;
+      const preferred = piece.type === 'P' ? piece.square[0] : (piece.type === 'K' || piece.type === 'Q') ? '' : null;
+      let id = preferred !== null && !used.has(prefix + preferred) ? preferred : null;
+      
+      for (let n = 1; id === null; n++) {
+        if (!used.has(prefix + n)) {
+          id = String(n);
         }
       }
+      
+      used.add(prefix + id);
+      piece.id = id;
+    });
+    
+    const position = {};
+    pieces.forEach(piece => {
+      position[piece.square] = piece.color + piece.type + piece.id;
+    });
+    
+    if (!/^(-|[KQkq]+|[A-Ha-h]+)$/.test(castling)) {
+      throw new Error(`Invalid SFEN: bad castling rights "${castling}"`);
+    }
+    
+    // Rook files mean a Chess960 game; each letter is a rook either side of its king
+    const chess960 = /^[A-Ha-h]+$/.test(castling);
+    const castlingRooks = JSON.parse(JSON.stringify(STANDARD_CASTLING_ROOKS));
+    const castlingRights = {
+      white: { kingSide: castling.includes('K'), queenSide: castling.includes('Q') },
+      black: { kingSide: castling.includes('k'), queenSide: castling.includes('q') }
+    };
+    
+    if (chess960) {
+      [['white', '1', 'w'], ['black', '8', 'b']].forEach(([colorName, rank, color]) => {
+        const kingSquare = Object.keys(position).find(square => position[square].startsWith(color + 'K'));
+        const letters = castling.split('').filter(letter => (letter === letter.toUpperCase()) === (color === 'w'));
+        
+        letters.forEach(letter => {
+          const rookSquare = letter.toLowerCase() + rank;
+          const side = kingSquare && rookSquare > kingSquare[0] ? 'kingSide' : 'queenSide';
+          castlingRooks[colorName][side] = rookSquare;
+          castlingRights[colorName][side] = true;
+        });
+      });
+    }
+    
+    if (enPassant !== '-' && !/^[a-h][36]$/.test(enPassant)) {
+      throw new Error(`Invalid SFEN: bad en passant square "${enPassant}"`);
+    }
+    
+    const halfmoveClock = parseInt(halfmove);
+    const firstRound = parseInt(round);
+    if (isNaN(halfmoveClock) || halfmoveClock < 0 || isNaN(firstRound) || firstRound < 1) {
+      throw new Error('Invalid SFEN: bad halfmove clock or round number');
     }
     
-    return position;
+    const [lastWhite, lastBlack] = lastMoved.split(',');
+    
+    if (checks !== undefined && !/^\d+\+\d+$/.test(checks)) {
+      throw new Error(`Invalid SFEN: bad check counts "${checks}"`);
+    }
+    
+    // Check flags default to what the position shows
+    const board = positionToBoard(position);
+    const inCheck = check === undefined ?
+      { white: isInCheck(board, 'w'), black: isInCheck(board, 'b') } :
+      { white: check.includes('w'), black: check.includes('b') };
+    
+    return {
+      position,
+      castlingRights,
+      castlingRooks,
+      chess960,
+      enPassantTarget: enPassant === '-' ? null : enPassant,
+      halfmoveClock,
+      firstRound,
+      lastMovedPieces: {
+        white: lastWhite && lastWhite !== '-' ? lastWhite : null,
+        black: lastBlack && lastBlack !== '-' ? lastBlack : null
+      },
+      inCheck,
+      // Only three-check positions carry these
+      checksGiven: checks === undefined ? null : {
+        white: parseInt(checks.split('+')[0]),
+        black: parseInt(checks.split('+')[1])
+      }
+    };
   }
   
-  // Convert algebraic notation to coordinates
-  function squareToCoords(square) {
-    const file = square.charCodeAt(0) - 97; // 'a' -> 0
-    const rank = 8 - parseInt(square[1]);   // '1' -> 7
-    return { rank, file };
+  // A custom starting position needs exactly one king per side and no pawns
+  // on the first or last rank
+  function validateStartingPosition(position) {
+    const pieces = Object.entries(position);
+    
+    for (const color of ['w', 'b']) {
+      const kings = pieces.filter(([, piece]) => piece.startsWith(color + 'K')).length;
+      if (kings !== 1) {
+        const colorName = color === 'w' ? 'White' : 'Black';
+        return { valid: false, message: `${colorName} needs exactly one king, not ${kings}` };
+      }
+    }
+    
+    const backRankPawn = pieces.find(([square, piece]) => piece[1] === 'P' && (square[1] === '1' || square[1] === '8'));
+    if (backRankPawn) {
+      return { valid: false, message: `Pawns can't start on the back ranks (${backRankPawn[0]})` };
+    }
+    
+    return { valid: true };
   }
   
-  // Convert coordinates to algebraic notation
-  function coordsToSquare(coords) {
-    const { rank, file } = coords;
-    return String.fromCharCode(97 + file) + (8 - rank);
+  // Ways of winning besides the usual ones: threeCheck wins by giving check
+  // three times, kingOfTheHill by bringing the king to the center
+  const VARIANTS = ['standard', 'threeCheck', 'kingOfTheHill'];
+  
+  // The house rules for a new game: the defaults, with any of the known
+  // switches in the given object that are true or false
+  function normalizeRules(rules = {}) {
+    const normalized = { ...DEFAULT_RULES };
+    
+    Object.keys(DEFAULT_RULES).forEach(name => {
+      if (rules && typeof rules[name] === 'boolean') {
+        normalized[name] = rules[name];
+      }
+    });
+    
+    return normalized;
   }
   
   // Create initial game state - UPDATED to include timeControl parameter
-  function createGameState(timeControl = 300) {
-    return {
-      position: getStartingPosition(),
+  // Pass options.sfen to start from a saved position instead of the standard one;
+  // throws if the SFEN can't be read or isn't a valid starting position.
+  // options.chess960 starts from a random Chess960 setup (or the numbered one),
+  // options.rules switches house rules (see DEFAULT_RULES in shared/rules.js)
+  // and options.variant picks one of VARIANTS
+  function createGameState(timeControl = 300, options = {}) {
+    const chess960 = !options.sfen && (options.chess960 === true || Number.isInteger(options.chess960));
+    const position = chess960 ?
+      getStartingPosition(getChess960BackRank(options.chess960 === true ? undefined : options.chess960)) :
+      getStartingPosition();
+    const game = {
+      position: position,
+      // Where the game began, so clients can step back through the move list
+      startPosition: position,
       whiteId: null,
       blackId: null,
+      // Secret tokens that let each player reclaim their seat after a disconnect
+      playerTokens: { white: null, black: null },
+      // When each player disconnected (null while connected)
+      disconnectedAt: { white: null, black: null },
+      // Read-only viewers: socketId -> display name
+      spectators: {},
+      spectatorsJoined: 0,
+      // Shown in exported games
+      playerNames: { white: 'White', black: 'Black' },
+      createdAt: Date.now(),
       pendingMoves: { white: null, black: null },
+      // Pawn moves waiting for the player to choose a promotion piece
+      pendingPromotions: { white: null, black: null },
       lastMovedPieces: { 
         white: null, // Which piece was moved last (unique ID)
         black: null
@@ -96,6 +407,14 @@ function getStartingPosition() {
         black: null
       },
       inCheck: { white: false, black: false },
+      variant: VARIANTS.includes(options.variant) ? options.variant : 'standard',
+      // Three-check: how many times each side has given check
+      checksGiven: { white: 0, black: 0 },
+      // House rules: collisions, swerving, repeating a piece and staying in check
+      rules: normalizeRules(options.rules),
+      // Chess960 games castle with whichever rooks start either side of the king
+      chess960: chess960,
+      castlingRooks: findCastlingRooks(position),
       // Track castling rights
       castlingRights: {
         white: { kingSide: true, queenSide: true },
@@ -105,6 +424,10 @@ function getStartingPosition() {
       enPassantTarget: null,
       // Track move history for move count
       moveHistory: [],
+      // Half-moves since the last capture, pawn move or collision (50-move rule)
+      halfmoveClock: 0,
+      // How many times each position has occurred (threefold repetition)
+      positionCounts: {},
       // Timer settings in seconds (now configurable)
       timers: {
         timeControl: timeControl, // Store the time control setting
@@ -120,17 +443,74 @@ function getStartingPosition() {
       kingsMoved: { white: false, black: false },
       // Track if rooks have moved (for castling rights)
       rooksMoved: { 
-        white: { a1: false, h1: false },
-        black: { a8: false, h8: false }
+        white: { kingSide: false, queenSide: false },
+        black: { kingSide: false, queenSide: false }
       }
     };
+    
+    if (options.sfen) {
+      const state = fromSFEN(options.sfen);
+      const validation = validateStartingPosition(state.position);
+      if (!validation.valid) {
+        throw new Error(`Invalid starting position: ${validation.message}`);
+      }
+      
+      game.position = state.position;
+      game.startPosition = state.position;
+      game.chess960 = state.chess960;
+      game.castlingRooks = state.castlingRooks;
+      game.castlingRights = state.castlingRights;
+      game.enPassantTarget = state.enPassantTarget;
+      game.halfmoveClock = state.halfmoveClock;
+      game.firstRound = state.firstRound;
+      game.lastMovedPieces = state.lastMovedPieces;
+      game.inCheck = state.inCheck;
+      if (state.checksGiven) {
+        game.checksGiven = state.checksGiven;
+      }
+      
+      // Castling rights need the king on its back rank (the e-file outside
+      // Chess960) with the castling rook still on its side
+      [['white', '1', 'w'], ['black', '8', 'b']].forEach(([colorName, rank, color]) => {
+        const rights = game.castlingRights[colorName];
+        const rooks = game.castlingRooks[colorName];
+        const kingSquare = Object.keys(game.position).find(square => game.position[square].startsWith(`${color}K`));
+        const kingHome = kingSquare[1] === rank && (game.chess960 || kingSquare[0] === 'e');
+        const rookHome = (side) => (game.position[rooks[side]] || '').startsWith(`${color}R`) &&
+          (side === 'kingSide' ? rooks[side][0] > kingSquare[0] : rooks[side][0] < kingSquare[0]);
+        rights.kingSide = rights.kingSide && kingHome && rookHome('kingSide');
+        rights.queenSide = rights.queenSide && kingHome && rookHome('queenSide');
+        
+        game.kingsMoved[colorName] = !rights.kingSide && !rights.queenSide;
+        game.rooksMoved[colorName].kingSide = !rights.kingSide;
+        game.rooksMoved[colorName].queenSide = !rights.queenSide;
+      });
+      
+      // Remember the start for exported games
+      game.startSFEN = toSFEN(game);
+    } else if (chess960) {
+      game.startSFEN = toSFEN(game);
+    }
+    
+    // The starting position counts as its first occurrence
+    game.positionCounts[getPositionKey(game)] = 1;
+    
+    return game;
   }
   
   module.exports = {
     getStartingPosition,
+    getChess960BackRank,
     positionToBoard,
     boardToPosition,
     squareToCoords,
     coordsToSquare,
+    getPositionKey,
+    getCurrentRound,
+    toSFEN,
+    fromSFEN,
+    validateStartingPosition,
+    VARIANTS,
+    normalizeRules,
     createGameState
   };
\ No newline at end of file
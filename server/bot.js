@@ -0,0 +1,310 @@
+/**
+ * Computer opponents for SyncChess
+ *
+ * A bot is an object with a name and chooseMove(game, colorName), which
+ * resolves to the move { from, to, promotion } it wants to play this round.
+ * The server seats a bot like a player and submits its moves through the same
+ * path as a player's submitMove/promotePawn, so bots follow every rule.
+ *
+ * Both sides move at once, so there is no "best reply" to search for like in
+ * normal chess. The stronger levels play every pairing of a few candidate
+ * moves for each side through processMoves, score the resulting positions
+ * into a payoff matrix and solve it for a mixed strategy, then pick a move at
+ * random with those odds. Mixing keeps the bot from being predictable, which
+ * matters when the opponent can swerve away from a capture it saw coming.
+ */
+const {
+  generateLegalMoves, positionToBoard, squareToCoords, applyMoveToBoard,
+  isSquareUnderAttack, isInCheck
+} = require('../shared/rules');
+const { getCurrentRound } = require('./boardUtils');
+const { processMoves } = require('./gameLogic');
+
+const PIECE_VALUES = { P: 1, N: 3, B: 3, R: 5, Q: 9, K: 0 };
+
+// Difficulty levels. Matrix search settings:
+//   depth       rounds to look ahead
+//   moves       candidate moves per side, for each round of the lookahead
+//   timeLimitMs deeper rounds are only searched while there is time left
+//               (the first round is always searched in full)
+//   iterations  fictitious play iterations when solving a matrix
+const BOT_LEVELS = {
+  easy: null,
+  medium: { depth: 1, moves: [12], timeLimitMs: 1500, iterations: 300 },
+  hard: { depth: 2, moves: [10, 4], timeLimitMs: 5000, iterations: 500 }
+};
+const DEFAULT_LEVEL = 'medium';
+
+// Scores are in pawns from the searching side's point of view
+const WIN_SCORE = 1000;
+const CHECK_BONUS = 0.3;
+const THREE_CHECK_BONUS = 3;
+const HILL_STEP_BONUS = 0.5;
+// Share of a piece's value counted as lost when the opponent attacks it
+const THREAT_WEIGHT = 0.3;
+// Moves the solved strategy plays less often than this are dropped
+const MIN_PROBABILITY = 0.05;
+
+// The game fields processMoves reads or changes
+const SEARCH_FIELDS = [
+  'position', 'variant', 'rules', 'chess960', 'castlingRooks', 'castlingRights',
+  'enPassantTarget', 'lastMovedPieces', 'lastMoves', 'inCheck', 'checksGiven',
+  'halfmoveClock', 'positionCounts', 'kingsMoved', 'rooksMoved'
+];
+
+function getOpponent(colorName) {
+  return colorName === 'white' ? 'black' : 'white';
+}
+
+// A quick opponent: takes the most valuable piece it can, promotes to a
+// queen, and otherwise plays any legal move
+function createGreedyBot() {
+  return {
+    name: 'Computer',
+    
+    chooseMove(game, colorName) {
+      const moves = generateLegalMoves(game, colorName);
+      if (moves.length === 0) {
+        return Promise.resolve(null);
+      }
+      
+      // A little noise keeps equal moves from always going the same way
+      const score = (move) => {
+        const target = game.position[move.to];
+        const captureValue = target && target[0] !== move.piece[0] ? PIECE_VALUES[target[1]] : 0;
+        const promotionValue = move.promotion ? PIECE_VALUES[move.promotion] - 1 : 0;
+        return captureValue + promotionValue + Math.random() * 0.5;
+      };
+      
+      const scored = moves.map(move => ({ move, score: score(move) }));
+      const best = scored.reduce((bestSoFar, entry) => entry.score > bestSoFar.score ? entry : bestSoFar).move;
+      return Promise.resolve({ from: best.from, to: best.to, promotion: best.promotion });
+    }
+  };
+}
+
+// Play one round on a private copy of the game, without its history or clocks
+function playRound(game, whiteMove, blackMove) {
+  const next = JSON.parse(JSON.stringify(
+    SEARCH_FIELDS.reduce((fields, field) => ({ ...fields, [field]: game[field] }), {})
+  ));
+  next.firstRound = getCurrentRound(game);
+  next.moveHistory = [];
+  next.timers = {};
+  next.gameResult = null;
+  next.pendingMoves = { white: whiteMove, black: blackMove };
+  
+  processMoves(next, { silent: true });
+  return next;
+}
+
+// King steps from a square to the nearest of d4, d5, e4 and e5
+function hillDistance(square) {
+  if (!square) return 8;
+  const { rank, file } = squareToCoords(square);
+  const fileSteps = file < 3 ? 3 - file : Math.max(0, file - 4);
+  const rankSteps = rank < 3 ? 3 - rank : Math.max(0, rank - 4);
+  return Math.max(fileSteps, rankSteps);
+}
+
+// How good a position is for colorName: material, minus pieces the other
+// side attacks, plus checks and the variants' goals
+function evaluate(game, colorName) {
+  const opponent = getOpponent(colorName);
+  
+  if (game.gameResult) {
+    if (game.gameResult.winner === colorName) return WIN_SCORE;
+    if (game.gameResult.winner === opponent) return -WIN_SCORE;
+    return 0;
+  }
+  
+  const color = colorName[0];
+  const board = positionToBoard(game.position);
+  const kings = {};
+  let score = 0;
+  
+  Object.entries(game.position).forEach(([square, piece]) => {
+    const sign = piece[0] === color ? 1 : -1;
+    const value = PIECE_VALUES[piece[1]];
+    score += sign * value;
+    
+    if (value && isSquareUnderAttack(board, square, piece[0] === 'w' ? 'b' : 'w')) {
+      score -= sign * value * THREAT_WEIGHT;
+    }
+    if (piece[1] === 'K') {
+      kings[piece[0] === color ? colorName : opponent] = square;
+    }
+  });
+  
+  if (game.inCheck[opponent]) score += CHECK_BONUS;
+  if (game.inCheck[colorName]) score -= CHECK_BONUS;
+  
+  if (game.variant === 'threeCheck') {
+    score += (game.checksGiven[colorName] - game.checksGiven[opponent]) * THREE_CHECK_BONUS;
+  }
+  
+  if (game.variant === 'kingOfTheHill') {
+    score += (hillDistance(kings[opponent]) - hillDistance(kings[colorName])) * HILL_STEP_BONUS;
+  }
+  
+  return score;
+}
+
+// Keep the most promising legal moves for one side: captures, promotions,
+// checks and pieces escaping an attack come first
+function getCandidateMoves(game, colorName, limit) {
+  const board = positionToBoard(game.position);
+  const opponentColor = colorName === 'white' ? 'b' : 'w';
+  
+  const scored = generateLegalMoves(game, colorName).map(move => {
+    const target = game.position[move.to];
+    const value = PIECE_VALUES[move.piece[1]];
+    let score = target && target[0] !== move.piece[0] ? PIECE_VALUES[target[1]] : 0;
+    
+    if (move.promotion) {
+      score += PIECE_VALUES[move.promotion] - 1;
+    }
+    if (isSquareUnderAttack(board, move.from, opponentColor)) {
+      score += value * 0.5;
+    }
+    if (isSquareUnderAttack(board, move.to, opponentColor)) {
+      score -= value * THREAT_WEIGHT;
+    }
+    if (isInCheck(applyMoveToBoard(board, move, game), opponentColor)) {
+      score += game.variant === 'threeCheck' ? THREE_CHECK_BONUS : CHECK_BONUS;
+    }
+    if (game.variant === 'kingOfTheHill' && move.piece[1] === 'K') {
+      score += (hillDistance(move.from) - hillDistance(move.to)) * HILL_STEP_BONUS * 2;
+    }
+    
+    return { move, score: score + Math.random() * 0.5 };
+  });
+  
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit).map(entry => entry.move);
+}
+
+// Solve a zero-sum payoff matrix (rows are our moves, columns the opponent's)
+// by fictitious play: each side keeps answering the other's move frequencies
+// so far, and the frequencies approach an optimal mixed strategy
+// Returns { strategy, value } with the row probabilities and the matrix value
+function solveMatrix(payoffs, iterations) {
+  const rows = payoffs.length;
+  const columns = payoffs[0].length;
+  const rowCounts = new Array(rows).fill(0);
+  const rowTotals = new Array(rows).fill(0);
+  const columnTotals = new Array(columns).fill(0);
+  const argBest = (values, better) => values.reduce((best, value, index) => better(value, values[best]) ? index : best, 0);
+  let row = 0;
+  let column = 0;
+  
+  for (let i = 0; i < iterations; i++) {
+    rowCounts[row]++;
+    for (let r = 0; r < rows; r++) rowTotals[r] += payoffs[r][column];
+    for (let c = 0; c < columns; c++) columnTotals[c] += payoffs[row][c];
+    
+    row = argBest(rowTotals, (a, b) => a > b);
+    column = argBest(columnTotals, (a, b) => a < b);
+  }
+  
+  // The true value lies between what our mix guarantees and what the
+  // opponent's mix concedes
+  const value = (Math.min(...columnTotals) + Math.max(...rowTotals)) / 2 / iterations;
+  return { strategy: rowCounts.map(count => count / iterations), value };
+}
+
+// Solve the round at this position for colorName, looking depth rounds ahead
+// (ply counts the rounds already played in the search)
+// Returns { moves, strategy, value }, or null if the time ran out
+async function searchRound(game, colorName, settings, ply, depth, deadline) {
+  const limit = settings.moves[Math.min(ply, settings.moves.length - 1)];
+  const myMoves = getCandidateMoves(game, colorName, limit);
+  const theirMoves = getCandidateMoves(game, getOpponent(colorName), limit);
+  
+  if (myMoves.length === 0 || theirMoves.length === 0) {
+    return { moves: myMoves, strategy: myMoves.map(() => 1 / myMoves.length), value: evaluate(game, colorName) };
+  }
+  
+  const payoffs = [];
+  for (const myMove of myMoves) {
+    // Let the server get on with other rooms between rows of the top matrix
+    if (ply === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    
+    const row = [];
+    for (const theirMove of theirMoves) {
+      const next = colorName === 'white' ? playRound(game, myMove, theirMove) : playRound(game, theirMove, myMove);
+      
+      if (ply + 1 === depth || next.gameResult) {
+        row.push(evaluate(next, colorName));
+        continue;
+      }
+      
+      const reply = Date.now() < deadline && await searchRound(next, colorName, settings, ply + 1, depth, deadline);
+      if (!reply) {
+        return null;
+      }
+      row.push(reply.value);
+    }
+    payoffs.push(row);
+  }
+  
+  return { moves: myMoves, ...solveMatrix(payoffs, settings.iterations) };
+}
+
+// Pick a move with the strategy's odds, ignoring very unlikely moves
+function sampleMove(moves, strategy) {
+  const kept = moves
+    .map((move, index) => ({ move, probability: strategy[index] }))
+    .filter(entry => entry.probability >= MIN_PROBABILITY);
+  const total = kept.reduce((sum, entry) => sum + entry.probability, 0);
+  
+  let pick = Math.random() * total;
+  for (const entry of kept) {
+    pick -= entry.probability;
+    if (pick <= 0) {
+      return entry.move;
+    }
+  }
+  return kept[kept.length - 1].move;
+}
+
+// The matrix search bot. Each lookahead depth is searched in turn, and a
+// deeper search that runs out of time is thrown away for the last complete one
+function createMatrixBot(settings) {
+  return {
+    name: 'Computer',
+    
+    async chooseMove(game, colorName) {
+      const deadline = Date.now() + settings.timeLimitMs;
+      let result = null;
+      
+      for (let depth = 1; depth <= settings.depth; depth++) {
+        const search = await searchRound(game, colorName, settings, 0, depth, depth === 1 ? Infinity : deadline);
+        if (!search) {
+          break;
+        }
+        result = search;
+      }
+      
+      if (result.moves.length === 0) {
+        return null;
+      }
+      
+      const move = sampleMove(result.moves, result.strategy);
+      return { from: move.from, to: move.to, promotion: move.promotion };
+    }
+  };
+}
+
+// The bot the server seats for "Play vs Computer", at one of the BOT_LEVELS
+function createBot(level = DEFAULT_LEVEL) {
+  const settings = BOT_LEVELS[level in BOT_LEVELS ? level : DEFAULT_LEVEL];
+  return settings ? createMatrixBot(settings) : createGreedyBot();
+}
+
+module.exports = {
+  BOT_LEVELS,
+  createBot
+};
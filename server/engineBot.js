@@ -0,0 +1,183 @@
+/**
+ * External SyncChess engines
+ *
+ * An engine is any program that talks the SyncChess engine protocol, one
+ * command per line on stdin and one answer per line on stdout, in the spirit
+ * of UCI. The adapter here starts it and wraps it in the same bot interface
+ * as the built-in bots, so it can be seated in a room or play in the arena.
+ *
+ * Server to engine:
+ *   syncchess                  the first command; answer with any "id name <name>"
+ *                              line and then "syncchessok"
+ *   newgame <variant> <rules>  a new game starts; variant is standard, threeCheck
+ *                              or kingOfTheHill, rules the house rules that differ
+ *                              from the defaults (e.g. "swerve=off") or "-"
+ *   position sfen <sfen>       the position at the start of this round (SFEN, as
+ *                              in boardUtils.js, with last moved pieces and checks)
+ *   go <w|b> [wtime <ms> btime <ms>]
+ *                              choose the move for w or b this round; the clocks
+ *                              are left out in games without a time limit
+ *   quit                       exit
+ *
+ * Engine to server:
+ *   bestmove <move>            the move for this round, in from/to squares with
+ *                              an optional promotion letter: e2e4, e7e8q (a pawn
+ *                              promotes to a queen when the letter is left out).
+ *                              Castling is the king's move (e1g1), or the king
+ *                              moving onto its rook in Chess960 (b1a1).
+ *                              "bestmove (none)" passes
+ *
+ * Other output lines are ignored, so engines can print their own diagnostics.
+ */
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+const { toSFEN } = require('./boardUtils');
+const { formatRules } = require('./gameRecord');
+
+// How long an engine gets to answer "syncchess"
+const HANDSHAKE_TIMEOUT_MS = 10000;
+// How long an engine gets to move in a game without a time limit
+const UNTIMED_MOVE_TIMEOUT_MS = 60000;
+// Extra time allowed on top of the engine's clock for the answer to arrive
+const MOVE_TIMEOUT_MARGIN_MS = 1000;
+// How long an engine gets to exit after "quit" before it is stopped
+const QUIT_GRACE_MS = 2000;
+
+// Start an engine from a command line such as "python3 engines/my_engine.py"
+// (arguments are split on spaces). options.name overrides the name shown for it
+function createEngineBot(command, options = {}) {
+  const [executable, ...args] = command.trim().split(/\s+/);
+  const engine = spawn(executable, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+  
+  // The answer the adapter is waiting for: { keyword, resolve, reject, timer }
+  let waiting = null;
+  // Answers that come after their wait timed out are skipped, by keyword
+  const lateAnswers = {};
+  let exitError = null;
+  let closed = false;
+  let currentGame = null;
+  
+  function send(line) {
+    if (!exitError) {
+      engine.stdin.write(`${line}\n`);
+    }
+  }
+  
+  function finish(error, line) {
+    if (!waiting) {
+      return;
+    }
+    
+    const { resolve, reject, timer } = waiting;
+    waiting = null;
+    clearTimeout(timer);
+    if (error) {
+      reject(error);
+    } else {
+      resolve(line);
+    }
+  }
+  
+  // Wait for the next line starting with keyword
+  function expect(keyword, timeoutMs) {
+    if (exitError) {
+      return Promise.reject(exitError);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        lateAnswers[keyword] = (lateAnswers[keyword] || 0) + 1;
+        finish(new Error(`Engine did not answer with "${keyword}" within ${timeoutMs} ms`));
+      }, timeoutMs);
+      waiting = { keyword, resolve, reject, timer };
+    });
+  }
+  
+  const bot = {
+    name: options.name || path.basename(executable),
+    
+    async chooseMove(game, colorName) {
+      await handshake;
+      
+      if (game !== currentGame) {
+        currentGame = game;
+        send(`newgame ${game.variant || 'standard'} ${formatRules(game.rules) || '-'}`);
+      }
+      
+      const timed = game.timers && game.timers.timeControl > 0;
+      const clocks = timed ? ` wtime ${Math.round(game.timers.white * 1000)} btime ${Math.round(game.timers.black * 1000)}` : '';
+      const answer = expect('bestmove', timed ? game.timers[colorName] * 1000 + MOVE_TIMEOUT_MARGIN_MS : UNTIMED_MOVE_TIMEOUT_MS);
+      send(`position sfen ${toSFEN(game)}`);
+      send(`go ${colorName[0]}${clocks}`);
+      
+      const moveText = (await answer).split(/\s+/)[1];
+      if (moveText === '(none)') {
+        return null;
+      }
+      
+      const match = moveText && moveText.match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/);
+      if (!match) {
+        throw new Error(`Engine sent an unreadable move: ${moveText}`);
+      }
+      
+      return { from: match[1], to: match[2], promotion: match[3] && match[3].toUpperCase() };
+    },
+    
+    // Ask the engine to exit, and stop it if it doesn't
+    close() {
+      if (exitError || closed) {
+        return;
+      }
+      
+      closed = true;
+      send('quit');
+      engine.stdin.end();
+      setTimeout(() => {
+        if (!exitError) {
+          engine.kill();
+        }
+      }, QUIT_GRACE_MS).unref();
+    }
+  };
+  
+  readline.createInterface({ input: engine.stdout }).on('line', (line) => {
+    const text = line.trim();
+    
+    if (text.startsWith('id name ') && !options.name) {
+      bot.name = text.slice('id name '.length);
+    }
+    
+    const keyword = text.split(/\s+/)[0];
+    if (lateAnswers[keyword] > 0) {
+      lateAnswers[keyword]--;
+    } else if (waiting && keyword === waiting.keyword) {
+      finish(null, text);
+    }
+  });
+  
+  // A missing executable or a crash fails whatever the adapter is waiting for
+  engine.on('error', (err) => {
+    exitError = err;
+    finish(err);
+  });
+  engine.on('exit', (code, signal) => {
+    exitError = exitError || new Error(`Engine exited (${signal || `code ${code}`})`);
+    finish(exitError);
+  });
+  engine.stdin.on('error', () => {
+    // Writing to an engine that has exited; the exit handler reports it
+  });
+  
+  const handshake = expect('syncchessok', HANDSHAKE_TIMEOUT_MS);
+  send('syncchess');
+  
+  // Engines that fail the handshake fail their first move instead
+  handshake.catch(() => {});
+  
+  return bot;
+}
+
+module.exports = {
+  createEngineBot
+};
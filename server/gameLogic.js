@@ -1,291 +1,26 @@
 /**
  * Game logic for SyncChess
  */
-const { positionToBoard, boardToPosition, squareToCoords, coordsToSquare } = require('./boardUtils');
-
-// Check if a square is threatened by opponent pieces
-function isSquareUnderAttack(board, square, attackerColor) {
-  const { rank, file } = squareToCoords(square);
-  
-  // Check if any enemy piece can legally move to this square
-  for (let r = 0; r < 8; r++) {
-    for (let f = 0; f < 8; f++) {
-      const piece = board[r][f];
-      if (piece && piece[0] === attackerColor) {
-        const fromSquare = coordsToSquare({ rank: r, file: f });
-        // For move validation, we only need the basic piece type (first two characters)
-        const basicPiece = piece.substring(0, 2);
-        // Use a dummy game state for attack checking (no castling, en passant in attack check)
-        const dummyGameState = { castlingRights: { white: {}, black: {} }, enPassantTarget: null };
-        if (isLegalMove(board, fromSquare, square, basicPiece, dummyGameState)) {
-          return true;
-        }
-      }
-    }
-  }
-  return false;
-}
+const { positionToBoard, boardToPosition, squareToCoords, coordsToSquare, getPositionKey, getCurrentRound } = require('./boardUtils');
+const {
+  getRules,
+  STANDARD_CASTLING_ROOKS,
+  isSquareUnderAttack,
+  findKing,
+  isInCheck,
+  isLegalMove,
+  getCastlingMove,
+  handleCastling,
+  applyMoveToBoard,
+  generateLegalMoves,
+  validateMove
+} = require('../shared/rules');
 
-// Find a king's position on the board
-function findKing(board, color) {
-  for (let rank = 0; rank < 8; rank++) {
-    for (let file = 0; file < 8; file++) {
-      const piece = board[rank][file];
-      if (piece && piece[0] === color && piece[1] === 'K') {
-        return coordsToSquare({ rank, file });
-      }
-    }
-  }
-  return null;
-}
+// Checks needed to win a three-check game
+const THREE_CHECK_LIMIT = 3;
 
-// Check if a king is in check
-function isInCheck(board, color) {
-  const kingSquare = findKing(board, color);
-  if (!kingSquare) return false; // If king is not found (e.g., collision removed it), not in check
-  
-  const opponentColor = color === 'w' ? 'b' : 'w';
-  return isSquareUnderAttack(board, kingSquare, opponentColor);
-}
-
-// Check if a move is legal according to standard chess rules
-function isLegalMove(board, from, to, piece, gameState) {
-  // Extract the color (w/b) and type (P/R/N/B/Q/K)
-  const color = piece[0];
-  const type = piece[1];
-  
-  const fromCoords = squareToCoords(from);
-  const toCoords = squareToCoords(to);
-  
-  // Check if destination has a piece of the same color
-  const destPiece = board[toCoords.rank][toCoords.file];
-  if (destPiece && destPiece[0] === color) {
-    return false; // Can't capture your own piece
-  }
-  
-  // Calculate move delta
-  const rankDiff = toCoords.rank - fromCoords.rank;
-  const fileDiff = toCoords.file - fromCoords.file;
-  
-  // Check basic movement patterns for each piece type
-  switch (type) {
-    case 'P': // Pawn
-      // White pawns move up (negative rank), black pawns move down (positive rank)
-      const direction = color === 'w' ? -1 : 1;
-      const startRank = color === 'w' ? 6 : 1;
-      
-      // Forward move (non-capture)
-      if (fileDiff === 0 && !destPiece) {
-        // Single square forward
-        if (rankDiff === direction) {
-          return true;
-        }
-        
-        // Double square from starting position
-        if (rankDiff === 2 * direction && fromCoords.rank === startRank) {
-          // Check if path is clear
-          const midRank = fromCoords.rank + direction;
-          if (!board[midRank][fromCoords.file]) {
-            return true;
-          }
-        }
-      }
-      
-      // Regular capture moves (diagonal)
-      if (Math.abs(fileDiff) === 1 && rankDiff === direction && destPiece) {
-        return true;
-      }
-      
-      // En passant capture
-      if (Math.abs(fileDiff) === 1 && rankDiff === direction && !destPiece && gameState.enPassantTarget) {
-        const enPassantCoords = squareToCoords(gameState.enPassantTarget);
-        if (toCoords.rank === enPassantCoords.rank && toCoords.file === enPassantCoords.file) {
-          return true;
-        }
-      }
-      
-      return false;
-      
-    case 'R': // Rook
-      // Rooks move horizontally or vertically
-      if (rankDiff !== 0 && fileDiff !== 0) {
-        return false;
-      }
-      
-      // Check if path is clear
-      const rStep = Math.sign(rankDiff);
-      const fStep = Math.sign(fileDiff);
-      
-      let r = fromCoords.rank + rStep;
-      let f = fromCoords.file + fStep;
-      
-      while (r !== toCoords.rank || f !== toCoords.file) {
-        if (board[r][f]) {
-          return false; // Path is blocked
-        }
-        r += rStep;
-        f += fStep;
-      }
-      
-      return true;
-      
-    case 'N': // Knight
-      // Knights move in an L-shape: 2 squares in one dimension and 1 in the other
-      return (Math.abs(rankDiff) === 2 && Math.abs(fileDiff) === 1) ||
-             (Math.abs(rankDiff) === 1 && Math.abs(fileDiff) === 2);
-      
-    case 'B': // Bishop
-      // Bishops move diagonally
-      if (Math.abs(rankDiff) !== Math.abs(fileDiff)) {
-        return false;
-      }
-      
-      // Check if path is clear
-      const rDiagStep = Math.sign(rankDiff);
-      const fDiagStep = Math.sign(fileDiff);
-      
-      let rDiag = fromCoords.rank + rDiagStep;
-      let fDiag = fromCoords.file + fDiagStep;
-      
-      while (rDiag !== toCoords.rank && fDiag !== toCoords.file) {
-        if (board[rDiag][fDiag]) {
-          return false; // Path is blocked
-        }
-        rDiag += rDiagStep;
-        fDiag += fDiagStep;
-      }
-      
-      return true;
-      
-    case 'Q': // Queen
-      // Queens move like rooks or bishops
-      const isDiagonal = Math.abs(rankDiff) === Math.abs(fileDiff);
-      const isStraight = rankDiff === 0 || fileDiff === 0;
-      
-      if (!isDiagonal && !isStraight) {
-        return false;
-      }
-      
-      // Check if path is clear (similar to rook and bishop combined)
-      const rQStep = Math.sign(rankDiff);
-      const fQStep = Math.sign(fileDiff);
-      
-      let rQ = fromCoords.rank + rQStep;
-      let fQ = fromCoords.file + fQStep;
-      
-      while (rQ !== toCoords.rank || fQ !== toCoords.file) {
-        if (board[rQ][fQ]) {
-          return false; // Path is blocked
-        }
-        rQ += rQStep;
-        fQ += fQStep;
-      }
-      
-      return true;
-      
-    case 'K': // King
-      // Normal king move (one square in any direction)
-      if (Math.abs(rankDiff) <= 1 && Math.abs(fileDiff) <= 1) {
-        return true;
-      }
-      
-      // Castling (king moves two squares horizontally)
-      if (rankDiff === 0 && Math.abs(fileDiff) === 2) {
-        // Check castling rights
-        const colorName = color === 'w' ? 'white' : 'black';
-        const isKingside = fileDiff > 0;
-        
-        if (!gameState.castlingRights[colorName]) {
-          return false;
-        }
-        
-        if (isKingside && !gameState.castlingRights[colorName].kingSide) {
-          return false;
-        }
-        
-        if (!isKingside && !gameState.castlingRights[colorName].queenSide) {
-          return false;
-        }
-        
-        // Check if king is in check
-        if (isInCheck(board, color)) {
-          return false;
-        }
-        
-        // Check if squares between king and rook are empty
-        if (isKingside) {
-          // Kingside castling
-          if (board[fromCoords.rank][5] || board[fromCoords.rank][6]) {
-            return false;
-          }
-          
-          // Check if king passes through check
-          const midSquare = coordsToSquare({ rank: fromCoords.rank, file: 5 });
-          const opponentColor = color === 'w' ? 'b' : 'w';
-          if (isSquareUnderAttack(board, midSquare, opponentColor)) {
-            return false;
-          }
-        } else {
-          // Queenside castling
-          if (board[fromCoords.rank][1] || board[fromCoords.rank][2] || board[fromCoords.rank][3]) {
-            return false;
-          }
-          
-          // Check if king passes through check
-          const midSquare = coordsToSquare({ rank: fromCoords.rank, file: 3 });
-          const opponentColor = color === 'w' ? 'b' : 'w';
-          if (isSquareUnderAttack(board, midSquare, opponentColor)) {
-            return false;
-          }
-        }
-        
-        return true;
-      }
-      
-      return false;
-      
-    default:
-      return false;
-  }
-}
-
-// Handle castling
-function handleCastling(board, color, move) {
-  const fromCoords = squareToCoords(move.from);
-  const toCoords = squareToCoords(move.to);
-  
-  // Determine if kingside or queenside castling
-  const isKingside = toCoords.file > fromCoords.file;
-  
-  // Set the king's position
-  board[fromCoords.rank][fromCoords.file] = null; // Remove king from old position
-  board[toCoords.rank][toCoords.file] = color + 'K'; // Place king in new position
-  
-  // Set the rook's position
-  if (isKingside) {
-    // Kingside castling - rook moves from h-file to f-file
-    const rookFile = 7; // h-file
-    const newRookFile = 5; // f-file
-    
-    // Get the rook piece
-    const rookPiece = board[fromCoords.rank][rookFile];
-    
-    // Move the rook
-    board[fromCoords.rank][rookFile] = null; // Remove rook from old position
-    board[fromCoords.rank][newRookFile] = rookPiece; // Place rook in new position
-  } else {
-    // Queenside castling - rook moves from a-file to d-file
-    const rookFile = 0; // a-file
-    const newRookFile = 3; // d-file
-    
-    // Get the rook piece
-    const rookPiece = board[fromCoords.rank][rookFile];
-    
-    // Move the rook
-    board[fromCoords.rank][rookFile] = null; // Remove rook from old position
-    board[fromCoords.rank][newRookFile] = rookPiece; // Place rook in new position
-  }
-}
+// The center squares a king has to reach in King of the Hill
+const HILL_SQUARES = ['d4', 'd5', 'e4', 'e5'];
 
 // Basic checkmate detection
 function isCheckmate(board, color, gameState) {
@@ -294,40 +29,8 @@ function isCheckmate(board, color, gameState) {
     return false;
   }
   
-  // Try every possible move for every piece of this color
-  for (let rank = 0; rank < 8; rank++) {
-    for (let file = 0; file < 8; file++) {
-      const piece = board[rank][file];
-      if (piece && piece[0] === color) {
-        const fromSquare = coordsToSquare({ rank, file });
-        
-        // Try moving to every square on the board
-        for (let r = 0; r < 8; r++) {
-          for (let f = 0; f < 8; f++) {
-            const toSquare = coordsToSquare({ rank: r, file: f });
-            
-            // For move validation, use just the basic piece type (first two characters)
-            const basicPieceType = piece.substring(0, 2);
-            
-            if (isLegalMove(board, fromSquare, toSquare, basicPieceType, gameState)) {
-              // Make the move on a temporary board
-              const tempBoard = JSON.parse(JSON.stringify(board));
-              tempBoard[rank][file] = null;
-              tempBoard[r][f] = piece;
-              
-              // If not in check after the move, it's not checkmate
-              if (!isInCheck(tempBoard, color)) {
-                return false;
-              }
-            }
-          }
-        }
-      }
-    }
-  }
-  
   // If no move gets out of check, it's checkmate
-  return true;
+  return generateLegalMoves({ ...gameState, position: boardToPosition(board) }, color).length === 0;
 }
 
 // Check if a player is in stalemate (no legal moves but not in check)
@@ -337,50 +40,7 @@ function isStalemate(board, color, gameState) {
     return false;
   }
   
-  // Try every possible move for every piece of this color
-  for (let rank = 0; rank < 8; rank++) {
-    for (let file = 0; file < 8; file++) {
-      const piece = board[rank][file];
-      
-      // Skip empty squares or opponent pieces
-      if (!piece || piece[0] !== color) {
-        continue;
-      }
-      
-      const fromSquare = coordsToSquare({ rank, file });
-      
-      // Try moving to every square on the board
-      for (let r = 0; r < 8; r++) {
-        for (let f = 0; f < 8; f++) {
-          // Skip the piece's current square
-          if (rank === r && file === f) {
-            continue;
-          }
-          
-          const toSquare = coordsToSquare({ rank: r, file: f });
-          
-          // Get the basic piece type (first two characters)
-          const basicPieceType = piece.substring(0, 2);
-          
-          // Check if the move is legal
-          if (isLegalMove(board, fromSquare, toSquare, basicPieceType, gameState)) {
-            // Make the move on a temporary board
-            const tempBoard = JSON.parse(JSON.stringify(board));
-            tempBoard[rank][file] = null;
-            tempBoard[r][f] = piece;
-            
-            // If this move doesn't leave/put the king in check, it's a valid move
-            if (!isInCheck(tempBoard, color)) {
-              return false; // Found at least one legal move, not stalemate
-            }
-          }
-        }
-      }
-    }
-  }
-  
-  // If we reach here, no legal moves were found
-  return true;
+  return generateLegalMoves({ ...gameState, position: boardToPosition(board) }, color).length === 0;
 }
 
 // Function to check which timers should be active
@@ -422,12 +82,54 @@ function doesKingExist(board, color) {
   return findKing(board, color) !== null;
 }
 
+// Check for a dead position by the standard rules: bare kings, king and a
+// single minor piece against king, or only bishops all on same-colored squares
+function hasInsufficientMaterial(board) {
+  const minorPieces = [];
+  
+  for (let rank = 0; rank < 8; rank++) {
+    for (let file = 0; file < 8; file++) {
+      const piece = board[rank][file];
+      if (!piece || piece[1] === 'K') {
+        continue;
+      }
+      
+      // Pawns, rooks and queens can always force mate
+      if (piece[1] === 'P' || piece[1] === 'R' || piece[1] === 'Q') {
+        return false;
+      }
+      
+      minorPieces.push({ type: piece[1], squareColor: (rank + file) % 2 });
+    }
+  }
+  
+  // Bare kings, or a single knight or bishop
+  if (minorPieces.length <= 1) {
+    return true;
+  }
+  
+  // Any number of bishops, as long as they all move on the same color
+  return minorPieces.every(minor => minor.type === 'B' && minor.squareColor === minorPieces[0].squareColor);
+}
+
 // Process simultaneous moves
-function processMoves(game) {
-  const whiteMove = game.pendingMoves.white;
-  const blackMove = game.pendingMoves.black;
+// Besides updating the game, this returns the round's resolution events in the
+// order they were decided: both moves, castling, en passant, then a collision or
+// each side's swerve/capture, promotions and finally checks
+// Pass { silent: true } to resolve the round without logging it
+function processMoves(game, options = {}) {
+  // Searching bots replay thousands of rounds and ask for silence
+  const log = options.silent ? () => {} : console.log;
+  
   const board = positionToBoard(game.position);
   
+  // Castling is played as the king's actual move, even when it was written
+  // as the king moving onto its rook (Chess960)
+  const whiteCastling = getCastlingMove(board, game.pendingMoves.white, game);
+  const blackCastling = getCastlingMove(board, game.pendingMoves.black, game);
+  const whiteMove = whiteCastling ? { ...game.pendingMoves.white, to: whiteCastling.kingTo } : game.pendingMoves.white;
+  const blackMove = blackCastling ? { ...game.pendingMoves.black, to: blackCastling.kingTo } : game.pendingMoves.black;
+  
   // Get starting positions
   const whitePiecePos = squareToCoords(whiteMove.from);
   const blackPiecePos = squareToCoords(blackMove.from);
@@ -438,13 +140,19 @@ function processMoves(game) {
   const whiteToCoords = squareToCoords(whiteMove.to);
   const blackToCoords = squareToCoords(blackMove.to);
   
-  console.log("Processing moves:");
-  console.log("White move:", whiteMove.from, "to", whiteMove.to, "with piece", whitePiece);
-  console.log("Black move:", blackMove.from, "to", blackMove.to, "with piece", blackPiece);
+  log("Processing moves:");
+  log("White move:", whiteMove.from, "to", whiteMove.to, "with piece", whitePiece);
+  log("Black move:", blackMove.from, "to", blackMove.to, "with piece", blackPiece);
   
   // Create a new board for the result
   const newBoard = JSON.parse(JSON.stringify(board));
   
+  // What happened this round, for the clients to explain it
+  const events = [
+    { type: 'move', color: 'white', piece: whitePiece, from: whiteMove.from, to: whiteMove.to },
+    { type: 'move', color: 'black', piece: blackPiece, from: blackMove.from, to: blackMove.to }
+  ];
+  
   // Reset en passant target
   game.enPassantTarget = null;
   
@@ -456,24 +164,34 @@ function processMoves(game) {
   if (whiteMove.promotion) {
     // Use the stored promotedPieceId if available, otherwise create one
     promotedWhitePiece = whiteMove.promotedPieceId || ('w' + whiteMove.promotion + whitePiece.substring(2));
-    console.log(`White promoting to ${promotedWhitePiece}`);
+    log(`White promoting to ${promotedWhitePiece}`);
   }
   
   // Check if black is promoting
   if (blackMove.promotion) {
     // Use the stored promotedPieceId if available, otherwise create one
     promotedBlackPiece = blackMove.promotedPieceId || ('b' + blackMove.promotion + blackPiece.substring(2));
-    console.log(`Black promoting to ${promotedBlackPiece}`);
+    log(`Black promoting to ${promotedBlackPiece}`);
   }
   
   // Handle special cases before removing pieces from original positions
-  // Check for castling (king moves 2 squares horizontally)
-  if (whitePiece && whitePiece[1] === 'K' && Math.abs(whitePiecePos.file - whiteToCoords.file) === 2) {
-    handleCastling(newBoard, 'w', whiteMove);
+  // Castling moves the king and rook together
+  if (whiteCastling) {
+    handleCastling(newBoard, 'w', game.pendingMoves.white, game);
+    events.push({
+      type: 'castle', color: 'white', side: whiteCastling.side,
+      king: { from: whiteCastling.kingFrom, to: whiteCastling.kingTo },
+      rook: { piece: game.position[whiteCastling.rookFrom], from: whiteCastling.rookFrom, to: whiteCastling.rookTo }
+    });
   }
   
-  if (blackPiece && blackPiece[1] === 'K' && Math.abs(blackPiecePos.file - blackToCoords.file) === 2) {
-    handleCastling(newBoard, 'b', blackMove);
+  if (blackCastling) {
+    handleCastling(newBoard, 'b', game.pendingMoves.black, game);
+    events.push({
+      type: 'castle', color: 'black', side: blackCastling.side,
+      king: { from: blackCastling.kingFrom, to: blackCastling.kingTo },
+      rook: { piece: game.position[blackCastling.rookFrom], from: blackCastling.rookFrom, to: blackCastling.rookTo }
+    });
   }
   
   // Check for en passant possibility (pawn moves 2 squares)
@@ -497,134 +215,197 @@ function processMoves(game) {
   if (whitePiece && whitePiece[1] === 'P' && Math.abs(whitePiecePos.file - whiteToCoords.file) === 1 &&
       whiteToCoords.rank === 2 && board[whiteToCoords.rank][whiteToCoords.file] === null) {
     // White is capturing en passant
+    events.push({
+      type: 'enPassant', color: 'white', piece: whitePiece, from: whiteMove.from, to: whiteMove.to,
+      captured: board[whiteToCoords.rank + 1][whiteToCoords.file],
+      capturedSquare: coordsToSquare({ rank: whiteToCoords.rank + 1, file: whiteToCoords.file })
+    });
     newBoard[whiteToCoords.rank + 1][whiteToCoords.file] = null; // Remove black pawn
   }
   
   if (blackPiece && blackPiece[1] === 'P' && Math.abs(blackPiecePos.file - blackToCoords.file) === 1 &&
       blackToCoords.rank === 5 && board[blackToCoords.rank][blackToCoords.file] === null) {
     // Black is capturing en passant
+    events.push({
+      type: 'enPassant', color: 'black', piece: blackPiece, from: blackMove.from, to: blackMove.to,
+      captured: board[blackToCoords.rank - 1][blackToCoords.file],
+      capturedSquare: coordsToSquare({ rank: blackToCoords.rank - 1, file: blackToCoords.file })
+    });
     newBoard[blackToCoords.rank - 1][blackToCoords.file] = null; // Remove white pawn
   }
   
-  // Remove pieces from original positions (if not handled by castling)
-  if (board[whitePiecePos.rank][whitePiecePos.file] === whitePiece) {
+  // Remove pieces from original positions (if not handled by castling, where
+  // the rook may have landed on the king's square)
+  if (!whiteCastling && board[whitePiecePos.rank][whitePiecePos.file] === whitePiece) {
     newBoard[whitePiecePos.rank][whitePiecePos.file] = null;
   }
   
-  if (board[blackPiecePos.rank][blackPiecePos.file] === blackPiece) {
+  if (!blackCastling && board[blackPiecePos.rank][blackPiecePos.file] === blackPiece) {
     newBoard[blackPiecePos.rank][blackPiecePos.file] = null;
   }
   
   // Handle special case: "Swerving" rule
-  // If a piece was about to capture, but the target moved away, no capture happens
+  // If a piece was about to capture, but the target moved away, no capture happens.
+  // Without the swerve rule the target is taken on its starting square and
+  // its own move never happens
+  const rules = getRules(game);
+  const whiteCaught = !rules.swerve && blackMove.to === whiteMove.from;
+  const blackCaught = !rules.swerve && whiteMove.to === blackMove.from;
   
   // Check for collision (both pieces moving to the same square)
+  // The game result records the winner ('white', 'black' or null for a draw),
+  // the reason the game ended and the round it ended in
+  const round = getCurrentRound(game);
   let gameResult = null;
-  
-  if (whiteMove.to === blackMove.to) {
+  let bounced = false;
+  
+  if (whiteMove.to === blackMove.to && !rules.collisionRemovesBoth) {
+    // House rule: both moves are cancelled and the pieces stay where they were
+    log(`☄️ Collision at ${whiteMove.to} - both pieces bounce back`);
+    events.splice(2);
+    events.push({ type: 'collision', square: whiteMove.to, pieces: { white: whitePiece, black: blackPiece }, bounced: true });
+    board.forEach((row, rank) => {
+      newBoard[rank] = row.slice();
+    });
+    game.enPassantTarget = null;
+    bounced = true;
+  } else if (whiteMove.to === blackMove.to) {
     // Both pieces are removed in a collision
-    console.log(`☄️ Collision at ${whiteMove.to}`);
+    log(`☄️ Collision at ${whiteMove.to}`);
+    events.push({ type: 'collision', square: whiteMove.to, pieces: { white: whitePiece, black: blackPiece } });
     
     // Check if one of the pieces is a king
     if (whitePiece && whitePiece[1] === 'K') {
       // White king involved in collision, black wins
-      gameResult = 'blackWins';
-      console.log("White king eliminated in collision - Black wins!");
+      gameResult = { winner: 'black', reason: 'kingCollision', round };
+      log("White king eliminated in collision - Black wins!");
     }
     
     if (blackPiece && blackPiece[1] === 'K') {
       // Black king involved in collision, white wins
-      gameResult = 'whiteWins';
-      console.log("Black king eliminated in collision - White wins!");
+      gameResult = { winner: 'white', reason: 'kingCollision', round };
+      log("Black king eliminated in collision - White wins!");
     }
     
     // If both kings collide, it's a draw
     if (whitePiece && whitePiece[1] === 'K' && blackPiece && blackPiece[1] === 'K') {
-      gameResult = 'draw';
-      console.log("Both kings eliminated in collision - Draw!");
+      gameResult = { winner: null, reason: 'kingCollision', round };
+      log("Both kings eliminated in collision - Draw!");
     }
   } else {
     // Handle white's move (check if black piece swerved)
-    if (board[whiteToCoords.rank][whiteToCoords.file] === blackPiece &&
+    if (blackCaught) {
+      // Black piece didn't get away, white captures it (unless white was taken too)
+      if (!whiteCaught) {
+        newBoard[whiteToCoords.rank][whiteToCoords.file] = promotedWhitePiece; // Use promoted piece if applicable
+      }
+      events.push({ type: 'capture', color: 'white', piece: whitePiece, captured: blackPiece, square: whiteMove.to });
+    } else if (whiteCaught) {
+      // Taken before it could move
+    } else if (board[whiteToCoords.rank][whiteToCoords.file] === blackPiece &&
         blackMove.from !== blackMove.to) {
       // Black piece swerved, white's move proceeds normally
       newBoard[whiteToCoords.rank][whiteToCoords.file] = promotedWhitePiece; // Use promoted piece if applicable
+      events.push({ type: 'swerve', color: 'white', attacker: whitePiece, target: blackPiece, square: whiteMove.to, targetTo: blackMove.to });
     } else if (board[whiteToCoords.rank][whiteToCoords.file] === null ||
               board[whiteToCoords.rank][whiteToCoords.file][0] === 'b') {
       // Either empty square or black piece that didn't move away
       newBoard[whiteToCoords.rank][whiteToCoords.file] = promotedWhitePiece; // Use promoted piece if applicable
+      if (board[whiteToCoords.rank][whiteToCoords.file]) {
+        events.push({ type: 'capture', color: 'white', piece: whitePiece, captured: board[whiteToCoords.rank][whiteToCoords.file], square: whiteMove.to });
+      }
     }
     
     // Handle black's move (check if white piece swerved)
-    if (board[blackToCoords.rank][blackToCoords.file] === whitePiece &&
+    if (whiteCaught) {
+      // White piece didn't get away, black captures it (unless black was taken too)
+      if (!blackCaught) {
+        newBoard[blackToCoords.rank][blackToCoords.file] = promotedBlackPiece; // Use promoted piece if applicable
+      }
+      events.push({ type: 'capture', color: 'black', piece: blackPiece, captured: whitePiece, square: blackMove.to });
+    } else if (blackCaught) {
+      // Taken before it could move
+    } else if (board[blackToCoords.rank][blackToCoords.file] === whitePiece &&
         whiteMove.from !== whiteMove.to) {
       // White piece swerved, black's move proceeds normally
       newBoard[blackToCoords.rank][blackToCoords.file] = promotedBlackPiece; // Use promoted piece if applicable
+      events.push({ type: 'swerve', color: 'black', attacker: blackPiece, target: whitePiece, square: blackMove.to, targetTo: whiteMove.to });
     } else if (board[blackToCoords.rank][blackToCoords.file] === null ||
               board[blackToCoords.rank][blackToCoords.file][0] === 'w') {
       // Either empty square or white piece that didn't move away
       newBoard[blackToCoords.rank][blackToCoords.file] = promotedBlackPiece; // Use promoted piece if applicable
+      if (board[blackToCoords.rank][blackToCoords.file]) {
+        events.push({ type: 'capture', color: 'black', piece: blackPiece, captured: board[blackToCoords.rank][blackToCoords.file], square: blackMove.to });
+      }
+    }
+    
+    // Promotions only happen if the pawn survived the round
+    if (whiteMove.promotion && !whiteCaught) {
+      events.push({ type: 'promotion', color: 'white', square: whiteMove.to, piece: promotedWhitePiece, pieceType: whiteMove.promotion });
+    }
+    
+    if (blackMove.promotion && !blackCaught) {
+      events.push({ type: 'promotion', color: 'black', square: blackMove.to, piece: promotedBlackPiece, pieceType: blackMove.promotion });
     }
   }
   
-  // Update castling rights
-  // Update king moved status (for castling rights)
-  if (whitePiece && whitePiece[1] === 'K') {
-    game.kingsMoved.white = true;
-    game.castlingRights.white.kingSide = false;
-    game.castlingRights.white.queenSide = false;
-  }
-  
-  if (blackPiece && blackPiece[1] === 'K') {
-    game.kingsMoved.black = true;
-    game.castlingRights.black.kingSide = false;
-    game.castlingRights.black.queenSide = false;
-  }
-  
-  // Update rook moved status (for castling rights)
-  if (whitePiece && whitePiece[1] === 'R') {
-    if (whiteMove.from === 'a1') {
-      game.rooksMoved.white.a1 = true;
-      game.castlingRights.white.queenSide = false;
-    } else if (whiteMove.from === 'h1') {
-      game.rooksMoved.white.h1 = true;
+  // Update castling rights (not when both moves bounced back)
+  if (!bounced) {
+    // Update king moved status (for castling rights)
+    if (whitePiece && whitePiece[1] === 'K') {
+      game.kingsMoved.white = true;
       game.castlingRights.white.kingSide = false;
+      game.castlingRights.white.queenSide = false;
     }
-  }
-  
-  if (blackPiece && blackPiece[1] === 'R') {
-    if (blackMove.from === 'a8') {
-      game.rooksMoved.black.a8 = true;
-      game.castlingRights.black.queenSide = false;
-    } else if (blackMove.from === 'h8') {
-      game.rooksMoved.black.h8 = true;
+    
+    if (blackPiece && blackPiece[1] === 'K') {
+      game.kingsMoved.black = true;
       game.castlingRights.black.kingSide = false;
+      game.castlingRights.black.queenSide = false;
     }
-  }
-  
-  // If a rook is captured, remove that castling right
-  if (board[whiteToCoords.rank][whiteToCoords.file] &&
-      board[whiteToCoords.rank][whiteToCoords.file][1] === 'R') {
-    if (whiteMove.to === 'a8') game.castlingRights.black.queenSide = false;
-    if (whiteMove.to === 'h8') game.castlingRights.black.kingSide = false;
-  }
-  
-  if (board[blackToCoords.rank][blackToCoords.file] &&
-      board[blackToCoords.rank][blackToCoords.file][1] === 'R') {
-    if (blackMove.to === 'a1') game.castlingRights.white.queenSide = false;
-    if (blackMove.to === 'h1') game.castlingRights.white.kingSide = false;
+    
+    // Update rook moved status (for castling rights)
+    const castlingRooks = game.castlingRooks || STANDARD_CASTLING_ROOKS;
+    ['kingSide', 'queenSide'].forEach(side => {
+      if (whitePiece && whitePiece[1] === 'R' && whiteMove.from === castlingRooks.white[side]) {
+        game.rooksMoved.white[side] = true;
+        game.castlingRights.white[side] = false;
+      }
+      
+      if (blackPiece && blackPiece[1] === 'R' && blackMove.from === castlingRooks.black[side]) {
+        game.rooksMoved.black[side] = true;
+        game.castlingRights.black[side] = false;
+      }
+      
+      // If a rook is captured, remove that castling right
+      const whiteTarget = board[whiteToCoords.rank][whiteToCoords.file];
+      if (whiteTarget && whiteTarget[1] === 'R' && whiteMove.to === castlingRooks.black[side]) {
+        game.castlingRights.black[side] = false;
+      }
+      
+      const blackTarget = board[blackToCoords.rank][blackToCoords.file];
+      if (blackTarget && blackTarget[1] === 'R' && blackMove.to === castlingRooks.white[side]) {
+        game.castlingRights.white[side] = false;
+      }
+    });
   }
   
   // Convert the board back to a position object
   const newPosition = boardToPosition(newBoard);
   
+  // Captures, collisions and pawn moves reset the 50-move clock
+  const piecesRemoved = Object.keys(newPosition).length < Object.keys(game.position).length;
+  const pawnMoved = (whitePiece && whitePiece[1] === 'P') || (blackPiece && blackPiece[1] === 'P');
+  
   // Update the game state
   game.position = newPosition;
   
   // Add moves to history
   game.moveHistory.push({
     white: { from: whiteMove.from, to: whiteMove.to, piece: whitePiece, promotion: whiteMove.promotion },
-    black: { from: blackMove.from, to: blackMove.to, piece: blackPiece, promotion: blackMove.promotion }
+    black: { from: blackMove.from, to: blackMove.to, piece: blackPiece, promotion: blackMove.promotion },
+    events: events,
+    position: newPosition
   });
   
   // Save which pieces were moved last (using their unique IDs)
@@ -638,10 +419,32 @@ function processMoves(game) {
     black: blackMove
   };
   
+  // Each round is two half-moves, one per player
+  game.halfmoveClock = (piecesRemoved || pawnMoved) ? 0 : game.halfmoveClock + 2;
+  
   // Check if kings are in check
   game.inCheck.white = isInCheck(newBoard, 'w');
   game.inCheck.black = isInCheck(newBoard, 'b');
   
+  if (game.inCheck.white) {
+    events.push({ type: 'check', color: 'white' });
+  }
+  
+  if (game.inCheck.black) {
+    events.push({ type: 'check', color: 'black' });
+  }
+  
+  // Three-check: every round that ends with a king in check counts for the
+  // side giving it, for both sides at once when both kings are in check
+  if (game.variant === 'threeCheck') {
+    if (game.inCheck.black) game.checksGiven.white++;
+    if (game.inCheck.white) game.checksGiven.black++;
+  }
+  
+  // Count this position for threefold repetition
+  const positionKey = getPositionKey(game);
+  game.positionCounts[positionKey] = (game.positionCounts[positionKey] || 0) + 1;
+  
   // Check if kings exist (may have been removed by collision)
   const whiteKingExists = doesKingExist(newBoard, 'w');
   const blackKingExists = doesKingExist(newBoard, 'b');
@@ -649,29 +452,69 @@ function processMoves(game) {
   // If no result from collision, check for missing kings
   if (!gameResult) {
     if (!whiteKingExists && !blackKingExists) {
-      gameResult = 'draw';
-      console.log("Both kings missing - Draw!");
+      gameResult = { winner: null, reason: 'kingCaptured', round };
+      log("Both kings missing - Draw!");
     } else if (!whiteKingExists) {
-      gameResult = 'blackWins';
-      console.log("White king is missing - Black wins!");
+      gameResult = { winner: 'black', reason: 'kingCaptured', round };
+      log("White king is missing - Black wins!");
     } else if (!blackKingExists) {
-      gameResult = 'whiteWins';
-      console.log("Black king is missing - White wins!");
+      gameResult = { winner: 'white', reason: 'kingCaptured', round };
+      log("Black king is missing - White wins!");
     }
   }
   
-  // If still no result, check for checkmate
+  // King of the Hill: a king ending the round on a center square wins. Both
+  // kings getting there in the same round is a draw, and so is both kings
+  // colliding on the same center square (unless they bounced back off it)
+  if (game.variant === 'kingOfTheHill') {
+    const kingsCollidedOnHill = !bounced && whiteMove.to === blackMove.to && HILL_SQUARES.includes(whiteMove.to) &&
+      whitePiece && whitePiece[1] === 'K' && blackPiece && blackPiece[1] === 'K';
+    const whiteOnHill = HILL_SQUARES.includes(findKing(newBoard, 'w'));
+    const blackOnHill = HILL_SQUARES.includes(findKing(newBoard, 'b'));
+    
+    if (kingsCollidedOnHill || (!gameResult && whiteOnHill && blackOnHill)) {
+      gameResult = { winner: null, reason: 'kingOfTheHill', round };
+      log("Both kings reached the hill - Draw!");
+    } else if (!gameResult && whiteOnHill) {
+      gameResult = { winner: 'white', reason: 'kingOfTheHill', round };
+      log("White king reached the hill - White wins!");
+    } else if (!gameResult && blackOnHill) {
+      gameResult = { winner: 'black', reason: 'kingOfTheHill', round };
+      log("Black king reached the hill - Black wins!");
+    }
+  }
+  
+  // Three-check: giving the third check wins, both at once is a draw
+  if (!gameResult && game.variant === 'threeCheck') {
+    const whiteWins = game.checksGiven.white >= THREE_CHECK_LIMIT;
+    const blackWins = game.checksGiven.black >= THREE_CHECK_LIMIT;
+    
+    if (whiteWins && blackWins) {
+      gameResult = { winner: null, reason: 'threeCheck', round };
+      log("Both sides gave a third check - Draw!");
+    } else if (whiteWins) {
+      gameResult = { winner: 'white', reason: 'threeCheck', round };
+      log("White gave a third check - White wins!");
+    } else if (blackWins) {
+      gameResult = { winner: 'black', reason: 'threeCheck', round };
+      log("Black gave a third check - Black wins!");
+    }
+  }
+  
+  // If still no result, check for checkmate (both sides mated is a draw)
   if (!gameResult) {
-    if (game.inCheck.white && isCheckmate(newBoard, 'w', game)) {
-      gameResult = 'blackWins';
-      console.log("White is in checkmate - Black wins!");
-    } else if (game.inCheck.black && isCheckmate(newBoard, 'b', game)) {
-      gameResult = 'whiteWins';
-      console.log("Black is in checkmate - White wins!");
-    } else if (game.inCheck.white && game.inCheck.black &&
-              isCheckmate(newBoard, 'w', game) && isCheckmate(newBoard, 'b', game)) {
-      gameResult = 'draw';
-      console.log("Both kings in checkmate - Draw!");
+    const whiteMated = game.inCheck.white && isCheckmate(newBoard, 'w', game);
+    const blackMated = game.inCheck.black && isCheckmate(newBoard, 'b', game);
+    
+    if (whiteMated && blackMated) {
+      gameResult = { winner: null, reason: 'checkmate', round };
+      log("Both kings in checkmate - Draw!");
+    } else if (whiteMated) {
+      gameResult = { winner: 'black', reason: 'checkmate', round };
+      log("White is in checkmate - Black wins!");
+    } else if (blackMated) {
+      gameResult = { winner: 'white', reason: 'checkmate', round };
+      log("Black is in checkmate - White wins!");
     }
   }
   
@@ -681,14 +524,32 @@ function processMoves(game) {
     const blackStalemated = blackKingExists && !game.inCheck.black && isStalemate(newBoard, 'b', game);
     
     if (whiteStalemated && blackStalemated) {
-      gameResult = 'draw';
-      console.log("Draw by double stalemate!");
+      gameResult = { winner: null, reason: 'stalemate', round };
+      log("Draw by double stalemate!");
     } else if (whiteStalemated) {
-      gameResult = 'draw';
-      console.log("Draw by stalemate - white has no legal moves!");
+      gameResult = { winner: null, reason: 'stalemate', round };
+      log("Draw by stalemate - white has no legal moves!");
     } else if (blackStalemated) {
-      gameResult = 'draw';
-      console.log("Draw by stalemate - black has no legal moves!");
+      gameResult = { winner: null, reason: 'stalemate', round };
+      log("Draw by stalemate - black has no legal moves!");
+    }
+  }
+  
+  // If still no result, check for a dead position. Not in the variants,
+  // where a bare king can still win by giving check or reaching the hill
+  if (!gameResult && game.variant === 'standard' && hasInsufficientMaterial(newBoard)) {
+    gameResult = { winner: null, reason: 'insufficientMaterial', round };
+    log("Draw by insufficient material!");
+  }
+  
+  // If still no result, check the 50-move rule and threefold repetition
+  if (!gameResult) {
+    if (game.halfmoveClock >= 100) {
+      gameResult = { winner: null, reason: 'fiftyMoveRule', round };
+      log("Draw by the 50-move rule!");
+    } else if (game.positionCounts[positionKey] >= 3) {
+      gameResult = { winner: null, reason: 'threefoldRepetition', round };
+      log("Draw by threefold repetition!");
     }
   }
   
@@ -705,17 +566,22 @@ function processMoves(game) {
   return {
     position: newPosition,
     inCheck: game.inCheck,
-    gameResult: gameResult
+    gameResult: gameResult,
+    events: events
   };
 }
 
 module.exports = {
   isLegalMove,
+  applyMoveToBoard,
   isSquareUnderAttack,
   isInCheck,
   isCheckmate,
   isStalemate,
+  generateLegalMoves,
+  validateMove,
   checkTimerStatus,
+  hasInsufficientMaterial,
   processMoves,
   doesKingExist
 };
\ No newline at end of file
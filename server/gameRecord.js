@@ -0,0 +1,269 @@
+/**
+ * Export and import of SyncChess games in a PGN-style text format
+ *
+ *   [Event "SyncChess game"]
+ *   [Site "SyncChess"]
+ *   [Date "2025.03.14"]
+ *   [White "White"]
+ *   [Black "Black"]
+ *   [TimeControl "300"]
+ *   [Result "1-0"]
+ *   [Reason "checkmate"]
+ *   [Variant "Chess960"]    (only for Chess960 and variant games, e.g. "Chess960, Three-check")
+ *   [Rules "swerve=off"]    (only the house rules that differ from the defaults)
+ *   [SFEN "..."]            (only for games that didn't start from the standard position)
+ *
+ *   1. e2-e4 d7-d5 2. Ng1-f3 d5xe4 3. Nf3-e5 Bc8-e6 ... 1-0
+ *
+ * Rounds use the notation from notation.js. TimeControl is in seconds, or "-"
+ * for no time limit.
+ */
+const { createGameState, getCurrentRound } = require('./boardUtils');
+const { DEFAULT_RULES } = require('../shared/rules');
+const { validateMove, processMoves } = require('./gameLogic');
+const { formatMove, formatRound, parseMove } = require('./notation');
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Names used in the Variant header
+const VARIANT_NAMES = {
+  threeCheck: 'Three-check',
+  kingOfTheHill: 'King of the Hill'
+};
+
+// Result token for a game result ({ winner, reason, round } or null while playing)
+function getResultToken(gameResult) {
+  if (!gameResult) return '*';
+  if (gameResult.winner === 'white') return '1-0';
+  if (gameResult.winner === 'black') return '0-1';
+  return '1/2-1/2';
+}
+
+// Winner for a result token (undefined for an unfinished game)
+function getWinnerFromToken(token) {
+  if (token === '1-0') return 'white';
+  if (token === '0-1') return 'black';
+  if (token === '1/2-1/2') return null;
+  return undefined;
+}
+
+// Dates are written as YYYY.MM.DD, like PGN
+function formatDate(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+// House rules that differ from the defaults, e.g. "swerve=off,stayInCheck=on"
+function formatRules(rules) {
+  return Object.keys(DEFAULT_RULES)
+    .filter(name => rules && name in rules && rules[name] !== DEFAULT_RULES[name])
+    .map(name => `${name}=${rules[name] ? 'on' : 'off'}`)
+    .join(',');
+}
+
+// Read a Rules header back; returns the rules object or null if it can't be read
+function parseRules(text) {
+  const rules = {};
+  
+  for (const item of text.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, value] = item.split('=');
+    if (!(name in DEFAULT_RULES) || (value !== 'on' && value !== 'off')) {
+      return null;
+    }
+    rules[name] = value === 'on';
+  }
+  
+  return rules;
+}
+
+// Write a game in the SyncChess text format; extra headers override the defaults
+function exportGame(game, extraHeaders = {}) {
+  const headers = {
+    Event: 'SyncChess game',
+    Site: 'SyncChess',
+    Date: formatDate(new Date(game.createdAt || Date.now())),
+    White: game.playerNames ? game.playerNames.white : 'White',
+    Black: game.playerNames ? game.playerNames.black : 'Black',
+    TimeControl: game.timers.timeControl === 0 ? '-' : String(game.timers.timeControl),
+    Result: getResultToken(game.gameResult),
+    ...extraHeaders
+  };
+  
+  const variantNames = [game.chess960 && 'Chess960', VARIANT_NAMES[game.variant]].filter(Boolean);
+  if (variantNames.length && !headers.Variant) {
+    headers.Variant = variantNames.join(', ');
+  }
+  
+  if (formatRules(game.rules) && !headers.Rules) {
+    headers.Rules = formatRules(game.rules);
+  }
+  
+  // Games that didn't start from the standard position carry their start
+  if (game.startSFEN && !headers.SFEN) {
+    headers.SFEN = game.startSFEN;
+  }
+  
+  if (game.gameResult && !headers.Reason) {
+    headers.Reason = game.gameResult.reason;
+  }
+  
+  const headerLines = Object.entries(headers).map(([name, value]) =>
+    `[${name} "${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`
+  );
+  
+  // Wrap the move text at 80 characters, like PGN
+  const firstRound = game.firstRound || 1;
+  const tokens = game.moveHistory.map((entry, index) => formatRound(entry, firstRound + index));
+  tokens.push(headers.Result);
+  
+  const moveLines = [];
+  let line = '';
+  tokens.forEach(token => {
+    if (line && line.length + token.length + 1 > 80) {
+      moveLines.push(line);
+      line = token;
+    } else {
+      line = line ? `${line} ${token}` : token;
+    }
+  });
+  moveLines.push(line);
+  
+  return `${headerLines.join('\n')}\n\n${moveLines.join('\n')}\n`;
+}
+
+// Read a game and replay every round through processMoves, checking that each
+// move is legal and resolves the way the file says it did
+// Returns { valid: true, headers, game } or { valid: false, message }
+function importGame(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { valid: false, message: 'The game file is empty' };
+  }
+  
+  const headers = {};
+  const moveTextLines = [];
+  const headerPattern = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/;
+  
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const header = line.match(headerPattern);
+    
+    if (header) {
+      headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+    } else if (line.startsWith('[')) {
+      return { valid: false, message: `Cannot read header line: ${line}` };
+    } else {
+      moveTextLines.push(line);
+    }
+  }
+  
+  // Comments in braces are ignored
+  const tokens = moveTextLines.join(' ').replace(/\{[^}]*\}/g, ' ').split(/\s+/).filter(Boolean);
+  
+  let resultToken = headers.Result || '*';
+  if (tokens.length > 0 && RESULT_TOKENS.includes(tokens[tokens.length - 1])) {
+    const trailingResult = tokens.pop();
+    if (headers.Result && headers.Result !== trailingResult) {
+      return { valid: false, message: `The Result header (${headers.Result}) does not match the move text (${trailingResult})` };
+    }
+    resultToken = trailingResult;
+  }
+  
+  if (!RESULT_TOKENS.includes(resultToken)) {
+    return { valid: false, message: `Unknown result: ${resultToken}` };
+  }
+  
+  const rules = parseRules(headers.Rules || '');
+  if (!rules) {
+    return { valid: false, message: `Unknown house rules: ${headers.Rules}` };
+  }
+  
+  // Chess960 comes from the SFEN header, the variant from its name
+  const variantNames = (headers.Variant || '').split(',').map(name => name.trim());
+  const variant = Object.keys(VARIANT_NAMES).find(key => variantNames.includes(VARIANT_NAMES[key])) || 'standard';
+  
+  const timeControl = headers.TimeControl === '-' ? 0 : parseInt(headers.TimeControl);
+  let game;
+  try {
+    game = createGameState(isNaN(timeControl) ? 300 : timeControl, { sfen: headers.SFEN, rules, variant });
+  } catch (err) {
+    return { valid: false, message: err.message };
+  }
+  game.playerNames = { white: headers.White || 'White', black: headers.Black || 'Black' };
+  
+  if (tokens.length % 3 !== 0) {
+    return { valid: false, message: 'Every round needs a number, a white move and a black move' };
+  }
+  
+  for (let i = 0; i < tokens.length; i += 3) {
+    const round = getCurrentRound(game);
+    
+    if (tokens[i] !== `${round}.`) {
+      return { valid: false, message: `Expected round number "${round}." but found "${tokens[i]}"` };
+    }
+    
+    if (game.gameResult) {
+      return { valid: false, message: `Round ${round} was played after the game ended (${game.gameResult.reason})` };
+    }
+    
+    const notations = { white: tokens[i + 1], black: tokens[i + 2] };
+    
+    for (const colorName of ['white', 'black']) {
+      const move = parseMove(notations[colorName], colorName, game);
+      if (!move) {
+        return { valid: false, message: `Round ${round}: cannot read ${colorName} move "${notations[colorName]}"` };
+      }
+      
+      const validation = validateMove(game, colorName === 'white' ? 'w' : 'b', move);
+      if (!validation.valid) {
+        return { valid: false, message: `Round ${round}: illegal ${colorName} move "${notations[colorName]}" (${validation.message})` };
+      }
+      
+      game.pendingMoves[colorName] = move;
+    }
+    
+    processMoves(game, { silent: true });
+    game.pendingMoves = { white: null, black: null };
+    
+    // The markers in the file must match how the round actually resolved
+    const entry = game.moveHistory[game.moveHistory.length - 1];
+    for (const colorName of ['white', 'black']) {
+      const replayed = formatMove(entry, colorName);
+      if (replayed !== notations[colorName]) {
+        return { valid: false, message: `Round ${round}: ${colorName} move "${notations[colorName]}" resolves as "${replayed}"` };
+      }
+    }
+  }
+  
+  // A result reached on the board must be the one in the file; anything else
+  // (resignation, timeout, agreement...) is taken from the headers
+  if (game.gameResult) {
+    if (getResultToken(game.gameResult) !== resultToken) {
+      return { valid: false, message: `The moves end in ${getResultToken(game.gameResult)} (${game.gameResult.reason}), not ${resultToken}` };
+    }
+    if (headers.Reason && headers.Reason !== game.gameResult.reason) {
+      return { valid: false, message: `The moves end by ${game.gameResult.reason}, not ${headers.Reason}` };
+    }
+  } else if (resultToken !== '*') {
+    game.gameResult = {
+      winner: getWinnerFromToken(resultToken),
+      reason: headers.Reason || 'unknown',
+      round: getCurrentRound(game)
+    };
+  }
+  
+  if (game.gameResult) {
+    game.timerRunning = false;
+    game.timers.whiteActive = false;
+    game.timers.blackActive = false;
+  }
+  
+  return { valid: true, headers, game };
+}
+
+module.exports = {
+  exportGame,
+  importGame,
+  getResultToken,
+  formatRules,
+  parseRules
+};
@@ -0,0 +1,107 @@
+/**
+ * Round-based notation for SyncChess
+ *
+ * A round is written as a numbered white/black pair, e.g. "4. Ng1-f3 Qd8xd2+".
+ * Moves use their from and to squares, since both sides move at once and the
+ * separator records how the move resolved:
+ *   -  quiet move
+ *   x  capture (including en passant)
+ *   ~  swerve: the target moved away, so nothing was captured
+ *   *  collision: both pieces moved to the same square and were removed
+ * A promotion adds "=Q" (or R, B, N), a move that leaves the opponent in check
+ * adds "+", and castling is written O-O or O-O-O.
+ */
+
+// Write one side's move of a recorded round (an entry of game.moveHistory)
+function formatMove(entry, colorName) {
+  const move = entry[colorName];
+  const events = entry.events || [];
+  const opponent = colorName === 'white' ? 'black' : 'white';
+  const hasEvent = (type, color) => events.some(event => event.type === type && (!color || event.color === color));
+  
+  let text;
+  const castle = events.find(event => event.type === 'castle' && event.color === colorName);
+  
+  if (castle) {
+    text = castle.side === 'kingSide' ? 'O-O' : 'O-O-O';
+  } else {
+    let separator = '-';
+    if (hasEvent('collision')) {
+      separator = '*';
+    } else if (hasEvent('swerve', colorName)) {
+      separator = '~';
+    } else if (hasEvent('capture', colorName) || hasEvent('enPassant', colorName)) {
+      separator = 'x';
+    }
+    
+    // Pawns are written without a piece letter
+    const pieceLetter = move.piece && move.piece[1] !== 'P' ? move.piece[1] : '';
+    text = `${pieceLetter}${move.from}${separator}${move.to}`;
+  }
+  
+  if (move.promotion) {
+    text += `=${move.promotion}`;
+  }
+  
+  if (hasEvent('check', opponent)) {
+    text += '+';
+  }
+  
+  return text;
+}
+
+// Write a whole round, e.g. "1. e2-e4 d7-d5"
+function formatRound(entry, round) {
+  return `${round}. ${formatMove(entry, 'white')} ${formatMove(entry, 'black')}`;
+}
+
+// Read one side's move back from notation
+// Chess960 castling is read as the king moving onto its rook, so it needs the
+// game the move is played in
+// Returns { from, to, promotion } or null if the text isn't a move
+function parseMove(text, colorName, game) {
+  const castling = text.match(/^(O-O(?:-O)?)\+?$/);
+  if (castling && game && game.chess960) {
+    const color = colorName === 'white' ? 'w' : 'b';
+    const kingSquare = Object.keys(game.position).find(square => game.position[square].startsWith(`${color}K`));
+    return { from: kingSquare, to: game.castlingRooks[colorName][castling[1] === 'O-O' ? 'kingSide' : 'queenSide'] };
+  }
+  
+  if (castling) {
+    const rank = colorName === 'white' ? '1' : '8';
+    return { from: `e${rank}`, to: `${castling[1] === 'O-O' ? 'g' : 'c'}${rank}` };
+  }
+  
+  const match = text.match(/^[KQRBN]?([a-h][1-8])[-x~*]([a-h][1-8])(?:=([QRBN]))?\+?$/);
+  if (!match) {
+    return null;
+  }
+  
+  const move = { from: match[1], to: match[2] };
+  if (match[3]) {
+    move.promotion = match[3];
+  }
+  
+  return move;
+}
+
+// The move list sent to clients: each round's notation, its moves and the position after it
+function formatHistory(game) {
+  return game.moveHistory.map((entry, index) => ({
+    round: (game.firstRound || 1) + index,
+    white: formatMove(entry, 'white'),
+    black: formatMove(entry, 'black'),
+    moves: {
+      white: { from: entry.white.from, to: entry.white.to },
+      black: { from: entry.black.from, to: entry.black.to }
+    },
+    position: entry.position
+  }));
+}
+
+module.exports = {
+  formatMove,
+  formatRound,
+  formatHistory,
+  parseMove
+};
@@ -4,11 +4,16 @@
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const path = require('path');
 
-const { createGameState } = require('./boardUtils');
-const { isLegalMove, isInCheck, checkTimerStatus, processMoves, doesKingExist } = require('./gameLogic');
+const { createGameState, getCurrentRound } = require('./boardUtils');
+const { validateMove, checkTimerStatus, processMoves, doesKingExist } = require('./gameLogic');
+const { formatHistory } = require('./notation');
+const { exportGame, importGame } = require('./gameRecord');
+const { createBot } = require('./bot');
+const { createEngineBot } = require('./engineBot');
 
 // Set up Express server
 const app = express();
@@ -18,6 +23,9 @@ const io = new Server(server);
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// Serve the rules module shared with the browser
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Redirect root to index.html
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -30,11 +38,497 @@ app.get('/game', (req, res) => {
 // Save games with their state
 const games = {}; // roomId -> gameState
 
+// Bots wait at least this long before submitting, so their moves don't feel instant
+const BOT_MOVE_DELAY_MS = 500;
+
+// A bot whose move fails this many times in a row forfeits the game
+const BOT_MOVE_ATTEMPTS = 3;
+
+// Command line of an external engine, seated for the "engine" computer level
+const ENGINE_COMMAND = process.env.ENGINE_COMMAND;
+
+// How long a disconnected player's seat is kept before the opponent can claim the win
+const DISCONNECT_GRACE_SECONDS = parseInt(process.env.DISCONNECT_GRACE_SECONDS) || 60;
+
+// Secret token that lets a player reclaim their seat after a refresh or dropped connection
+function generatePlayerToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Keep a disconnected player's seat for the grace period, then let the opponent claim the win
+function startDisconnectGrace(roomId, colorName) {
+  const game = games[roomId];
+  
+  game.disconnectedAt[colorName] = Date.now();
+  io.to(roomId).emit('playerDisconnected', colorName);
+  
+  if (!game.graceTimeouts) {
+    game.graceTimeouts = {};
+  }
+  clearTimeout(game.graceTimeouts[colorName]);
+  
+  game.graceTimeouts[colorName] = setTimeout(() => {
+    if (games[roomId] === game && game.disconnectedAt[colorName] && !game.gameResult) {
+      io.to(roomId).emit('abandonmentClaimable', colorName);
+    }
+  }, DISCONNECT_GRACE_SECONDS * 1000);
+}
+
+// Resolve the round once both players have submitted, then send the
+// resolution events, the new board and the game state to the room
+function resolveRound(roomId) {
+  const game = games[roomId];
+  if (!game.pendingMoves.white || !game.pendingMoves.black) {
+    return;
+  }
+  
+  // Process the moves
+  const result = processMoves(game);
+  
+  // Reset pending moves for next round
+  game.pendingMoves = { white: null, black: null };
+  
+  // Set timer status based on game result
+  if (result.gameResult) {
+    game.gameResult = result.gameResult;
+    closeBots(game);
+    game.timerRunning = false;
+    game.timers.whiteActive = false;
+    game.timers.blackActive = false;
+  } else {
+    // For chess-style timer, activate both timers for the next round
+    game.timers.whiteActive = true;
+    game.timers.blackActive = true;
+  }
+  
+  game.timers.lastUpdate = Date.now();
+  
+  // Explain what happened before showing the new board
+  io.to(roomId).emit('roundResolved', {
+    round: getCurrentRound(game) - 1,
+    events: result.events
+  });
+  
+  // Send updated board to both players
+  io.to(roomId).emit('boardState', game.position);
+  
+  // Send game state to both players
+  io.to(roomId).emit('gameState', {
+    inCheck: game.inCheck,
+    checksGiven: game.checksGiven,
+    lastMovedPieces: game.lastMovedPieces,
+    lastMoves: game.lastMoves,
+    timers: game.timers,
+    castlingRights: game.castlingRights,
+    enPassantTarget: game.enPassantTarget,
+    gameStarted: game.gameStarted,
+    gameResult: result.gameResult,
+    history: formatHistory(game)
+  });
+  
+  // Computer opponents start on the next round straight away
+  requestBotMoves(roomId);
+}
+
+// Stop the room's external engines once they have no more moves to play
+function closeBots(game) {
+  Object.values(game.bots || {}).forEach(seat => seat.bot.close && seat.bot.close());
+}
+
+// End a game outside of move processing (resignation, draw agreement, abort)
+// and tell everyone in the room
+function endGame(roomId, gameResult) {
+  const game = games[roomId];
+  
+  game.gameResult = gameResult;
+  closeBots(game);
+  game.drawOffer = null;
+  game.timerRunning = false;
+  game.timers.whiteActive = false;
+  game.timers.blackActive = false;
+  
+  console.log(`🏁 Game ${roomId} ended: ${gameResult.reason}`);
+  
+  io.to(roomId).emit('gameState', {
+    inCheck: game.inCheck,
+    lastMovedPieces: game.lastMovedPieces,
+    lastMoves: game.lastMoves,
+    timers: game.timers,
+    gameStarted: game.gameStarted,
+    gameResult: gameResult
+  });
+}
+
+// Add a read-only spectator to a room and send them the current game
+function addSpectator(socket, roomId, name) {
+  const game = games[roomId];
+  
+  game.spectatorsJoined++;
+  const displayName = (typeof name === 'string' && name.trim().slice(0, 30)) ||
+                      `Spectator ${game.spectatorsJoined}`;
+  game.spectators[socket.id] = displayName;
+  
+  socket.join(roomId);
+  socket.emit('spectating', true);
+  socket.emit('boardState', game.position);
+  socket.emit('gameState', {
+    inCheck: game.inCheck,
+    checksGiven: game.checksGiven,
+    lastMovedPieces: game.lastMovedPieces,
+    lastMoves: game.lastMoves,
+    timers: game.timers,
+    castlingRights: game.castlingRights,
+    enPassantTarget: game.enPassantTarget,
+    gameStarted: game.gameStarted,
+    gameResult: game.gameResult,
+    startPosition: game.startPosition,
+    chess960: game.chess960,
+    castlingRooks: game.castlingRooks,
+    rules: game.rules,
+    variant: game.variant,
+    computerSeats: Object.keys(game.bots || {}),
+    history: formatHistory(game)
+  });
+  
+  io.to(roomId).emit('spectators', Object.values(game.spectators));
+  console.log(`👀 ${displayName} (${socket.id}) is spectating room ${roomId}`);
+}
+
+// Mark the game as started once the first move is accepted, which ends the
+// chance to abort it
+function markGameStarted(gameId) {
+  const game = games[gameId];
+  if (!game.gameStarted) {
+    game.gameStarted = true;
+    io.to(gameId).emit('gameStarted', true);
+  }
+}
+
+// Handle pawn promotion - FIXED
+// socket is the player's socket, or anything with an id and emit (a bot seat)
+function promotePawn(socket, { gameId, square, pieceType }) {
+  const game = games[gameId];
+  if (!game) {
+    socket.emit('error', 'Game not found');
+    return;
+  }
+
+  const colorName = (socket.id === game.whiteId) ? 'white' : 
+                    (socket.id === game.blackId) ? 'black' : null;
+  if (!colorName) {
+    socket.emit('error', 'You are not a player in this game');
+    return;
+  }
+  
+  if (game.gameResult) {
+    socket.emit('error', 'The game is over');
+    return;
+  }
+  
+  const color = colorName === 'white' ? 'w' : 'b';
+  
+  // Validate the piece type (Q, R, N, B)
+  if (!['Q', 'R', 'N', 'B'].includes(pieceType)) {
+    socket.emit('error', 'Invalid promotion piece type');
+    return;
+  }
+  
+  // Check if we have a pending move with a pawn that needs promotion
+  if (!game.pendingPromotions[colorName]) {
+    socket.emit('error', 'No pending move requiring promotion');
+    return;
+  }
+  
+  const pendingMove = game.pendingPromotions[colorName];
+  const destinationSquare = pendingMove.to;
+  
+  // Check if the specified square matches our pending move destination
+  if (destinationSquare !== square) {
+    socket.emit('error', 'Square mismatch for promotion');
+    return;
+  }
+  
+  // Check if there's a pawn at the source square in the pendingMove
+  const fromCoords = require('./boardUtils').squareToCoords(pendingMove.from);
+  const board = require('./boardUtils').positionToBoard(game.position);
+  const piece = board[fromCoords.rank][fromCoords.file];
+  
+  if (!piece || piece[0] !== color || piece[1] !== 'P') {
+    socket.emit('error', 'No pawn found for promotion');
+    return;
+  }
+  
+  // Check if the pawn is moving to the promotion rank
+  const toRank = square[1];
+  if ((color === 'w' && toRank !== '8') || (color === 'b' && toRank !== '1')) {
+    socket.emit('error', 'Pawn is not moving to the promotion rank');
+    return;
+  }
+  
+  // Validate the move again with the chosen piece, including king safety
+  const validation = validateMove(game, color, {
+    from: pendingMove.from,
+    to: pendingMove.to,
+    promotion: pieceType
+  });
+  if (!validation.valid) {
+    socket.emit('error', validation.message);
+    return;
+  }
+  
+  // At this point, we've validated the promotion request
+  // Create a promoted piece ID that maintains the pawn's identifier
+  // e.g., wPe -> wQe (keeping the file identifier)
+  const promotedPieceId = color + pieceType + piece.substring(2);
+  
+  // Store the promotion choice and submit the move for this round
+  game.pendingMoves[colorName] = {
+    ...pendingMove,
+    promotion: pieceType,
+    promotedPieceId: promotedPieceId
+  };
+  game.pendingPromotions[colorName] = null;
+  markGameStarted(gameId);
+  
+  console.log(`${colorName} is promoting pawn at ${square} to ${color}${pieceType}`);
+  
+  // Update timer status based on who has submitted moves
+  checkTimerStatus(game);
+  
+  // Send timer update to all players
+  io.to(gameId).emit('timerUpdate', game.timers);
+  
+  // Send confirmation back to the player
+  socket.emit('promotionConfirmed', {
+    square: square,
+    pieceType: pieceType
+  });
+  
+  // If both players have submitted moves, process them
+  resolveRound(gameId);
+}
+
+// Submit a player's move for this round, resolving the round once both are in
+// socket is the player's socket, or anything with an id and emit (a bot seat)
+function submitMove(socket, { gameId, move }) {
+  const game = games[gameId];
+  if (!game) {
+    socket.emit('error', 'Game not found');
+    return;
+  }
+
+  const colorName = (socket.id === game.whiteId) ? 'white' : 
+                    (socket.id === game.blackId) ? 'black' : null;
+  if (!colorName) {
+    socket.emit('error', 'You are not a player in this game');
+    return;
+  }
+  
+  if (game.gameResult) {
+    socket.emit('error', 'The game is over');
+    return;
+  }
+  
+  if (game.pendingMoves[colorName]) {
+    socket.emit('error', 'You already submitted a move this round. Retract it to choose another.');
+    return;
+  }
+  
+  const color = colorName === 'white' ? 'w' : 'b';
+  
+  // Validate the move, including king safety: pinned pieces, moving into
+  // check, staying in check and castling out of, through or into check
+  const validation = validateMove(game, color, move);
+  if (!validation.valid) {
+    console.log(`Rejected ${colorName} move (${validation.reason})`);
+    socket.emit('error', validation.message);
+    return;
+  }
+  
+  const { from, to } = move;
+  const piece = game.position[from];
+  
+  console.log(`Player ${colorName} is moving ${piece} from ${from} to ${to}`);
+  
+  // Check for pawn promotion
+  const isPawnPromotion = (piece[1] === 'P') && ((color === 'w' && to[1] === '8') || (color === 'b' && to[1] === '1'));
+  if (isPawnPromotion) {
+    // Hold the move until the piece is chosen, so the round can't resolve without it
+    game.pendingPromotions[colorName] = move;
+    
+    // Request promotion choice from the client
+    socket.emit('promotionNeeded', { square: to });
+    return; // Wait for the promotion choice before continuing
+  }
+  
+  // Store the pending move
+  game.pendingMoves[colorName] = move;
+  game.pendingPromotions[colorName] = null;
+  markGameStarted(gameId);
+  socket.emit('moveAccepted', true);
+  
+  // Update timer status based on who has submitted moves
+  checkTimerStatus(game);
+  
+  // Send timer update to all players
+  io.to(gameId).emit('timerUpdate', game.timers);
+  
+  // If both players have submitted moves, process them
+  resolveRound(gameId);
+}
+
+// Give a seat to a computer opponent. The bot plays through a socket-like
+// object, so its moves go through submitMove and promotePawn like a player's
+// level is one of the bot's difficulty levels (easy, medium or hard), or
+// engine for the external engine in ENGINE_COMMAND
+function seatBot(roomId, colorName, level) {
+  const game = games[roomId];
+  const botSocket = {
+    id: `bot-${roomId}-${colorName}`,
+    emit: (event, data) => {
+      if (event === 'promotionNeeded') {
+        // The bot picked its piece together with the move
+        const pendingMove = game.pendingPromotions[colorName];
+        promotePawn(botSocket, { gameId: roomId, square: data.square, pieceType: pendingMove.promotion || 'Q' });
+      } else if (event === 'moveAccepted' || event === 'promotionConfirmed') {
+        game.bots[colorName].failures = 0;
+      } else if (event === 'error') {
+        console.log(`🤖 ${colorName} bot in room ${roomId}: ${data}`);
+        game.pendingPromotions[colorName] = null;
+        botMoveFailed(roomId, colorName, 'illegalMove');
+      }
+    }
+  };
+  
+  if (!game.bots) {
+    game.bots = {};
+  }
+  const bot = level === 'engine' ? createEngineBot(ENGINE_COMMAND) : createBot(level);
+  game.bots[colorName] = { bot, socket: botSocket, thinking: false, failures: 0 };
+  
+  if (colorName === 'white') {
+    game.whiteId = botSocket.id;
+  } else {
+    game.blackId = botSocket.id;
+  }
+  game.playerNames[colorName] = game.bots[colorName].bot.name;
+  
+  console.log(`🤖 Computer seated as ${colorName} in room ${roomId}`);
+}
+
+// Ask every bot in the room that hasn't moved yet for its move this round
+function requestBotMoves(roomId) {
+  const game = games[roomId];
+  if (!game || !game.bots || game.gameResult) {
+    return;
+  }
+  
+  Object.entries(game.bots).forEach(([colorName, seat]) => {
+    if (seat.thinking || game.pendingMoves[colorName] || game.pendingPromotions[colorName]) {
+      return;
+    }
+    
+    seat.thinking = true;
+    const round = getCurrentRound(game);
+    const minimumDelay = new Promise(resolve => setTimeout(resolve, BOT_MOVE_DELAY_MS));
+    
+    Promise.all([seat.bot.chooseMove(game, colorName), minimumDelay])
+      .then(([move]) => {
+        seat.thinking = false;
+        
+        // The game may have ended or moved on while the bot was thinking
+        if (games[roomId] !== game || game.gameResult || getCurrentRound(game) !== round) {
+          return;
+        }
+        
+        if (!move) {
+          console.log(`🤖 ${colorName} bot in room ${roomId} found no move`);
+          botMoveFailed(roomId, colorName, 'noMove');
+          return;
+        }
+        
+        submitMove(seat.socket, { gameId: roomId, move });
+      })
+      .catch(err => {
+        seat.thinking = false;
+        console.log(`🤖 ${colorName} bot in room ${roomId} failed to move:`, err);
+        if (games[roomId] === game && getCurrentRound(game) === round) {
+          botMoveFailed(roomId, colorName, 'noMove');
+        }
+      });
+  });
+}
+
+// A bot's move was rejected (reason 'illegalMove') or it couldn't choose one
+// ('noMove'). Ask again, and after BOT_MOVE_ATTEMPTS failures in a row the
+// bot loses the game, so the room never waits on it forever
+function botMoveFailed(roomId, colorName, reason) {
+  const game = games[roomId];
+  const seat = game && game.bots && game.bots[colorName];
+  if (!seat || game.gameResult) {
+    return;
+  }
+  
+  seat.failures++;
+  if (seat.failures < BOT_MOVE_ATTEMPTS) {
+    requestBotMoves(roomId);
+    return;
+  }
+  
+  endGame(roomId, {
+    winner: colorName === 'white' ? 'black' : 'white',
+    reason,
+    round: getCurrentRound(game)
+  });
+}
+
+// Whether a person (not a bot) is connected to one of the seats
+function hasConnectedPlayer(game) {
+  return ['white', 'black'].some(colorName => {
+    const playerId = colorName === 'white' ? game.whiteId : game.blackId;
+    return playerId && !(game.bots && game.bots[colorName]);
+  });
+}
+
+// Download a game in the SyncChess text format
+app.get('/api/games/:id/export', (req, res) => {
+  const game = games[req.params.id];
+  if (!game) {
+    res.status(404).json({ error: 'Game not found' });
+    return;
+  }
+  
+  res.type('text/plain');
+  res.attachment(`syncchess-${req.params.id}.txt`);
+  res.send(exportGame(game));
+});
+
+// Whether "Play vs Computer" can use an external engine (ENGINE_COMMAND)
+app.get('/api/engine', (req, res) => {
+  res.json({ available: !!ENGINE_COMMAND });
+});
+
+// Check a game file by replaying it, and send back every position
+app.post('/api/games/import', express.text({ type: '*/*', limit: '1mb' }), (req, res) => {
+  const result = importGame(req.body);
+  if (!result.valid) {
+    res.status(400).json({ error: result.message });
+    return;
+  }
+  
+  res.json({
+    headers: result.headers,
+    gameResult: result.game.gameResult,
+    startPosition: result.game.startPosition,
+    history: formatHistory(result.game)
+  });
+});
+
 io.on('connection', (socket) => {
   console.log('🟢 Connected:', socket.id);
 
   socket.on('joinGame', (data) => {
-    let roomId, timeControl;
+    let roomId, timeControl, token, spectate, name, startPosition, chess960, rules, variant, computer, computerLevel;
     
     // Handle both string and object format
     if (typeof data === 'string') {
@@ -42,56 +536,140 @@ io.on('connection', (socket) => {
       timeControl = 300; // Default 5 minutes
     } else {
       roomId = data.roomId;
-      timeControl = parseInt(data.timeControl) || 300;
+      // 0 is a game without a time limit
+      timeControl = parseInt(data.timeControl);
+      if (!(timeControl >= 0)) {
+        timeControl = 300; // Default 5 minutes
+      }
+      token = data.token;
+      spectate = !!data.spectate;
+      name = data.name;
+      startPosition = data.startPosition; // Optional SFEN for a new room
+      chess960 = !!data.chess960; // Random Chess960 setup for a new room
+      rules = data.rules; // House rules for a new room
+      variant = data.variant; // e.g. 'threeCheck'
+      computer = data.computer; // Seat ('white' or 'black') for a computer opponent in a new room
+      computerLevel = data.computerLevel; // 'easy', 'medium', 'hard' or 'engine'
     }
     
     if (!games[roomId]) {
-      games[roomId] = createGameState(timeControl);
+      if (computerLevel === 'engine' && !ENGINE_COMMAND) {
+        socket.emit('error', 'This server has no external engine set up');
+        return;
+      }
+      
+      try {
+        games[roomId] = createGameState(timeControl, { sfen: startPosition, chess960, rules, variant });
+      } catch (err) {
+        socket.emit('error', err.message);
+        return;
+      }
+      
+      if (computer === 'white' || computer === 'black') {
+        seatBot(roomId, computer, computerLevel);
+      }
     }
 
     const game = games[roomId];
+    
+    if (spectate) {
+      addSpectator(socket, roomId, name);
+      return;
+    }
 
+    // A player with a valid token gets their seat (and pending move) back
     let color = null;
-    if (!game.whiteId) {
-      game.whiteId = socket.id;
+    let reconnecting = false;
+    if (token && token === game.playerTokens.white) {
       color = 'white';
-    } else if (!game.blackId) {
-      game.blackId = socket.id;
+      reconnecting = true;
+    } else if (token && token === game.playerTokens.black) {
+      color = 'black';
+      reconnecting = true;
+    } else if (!game.whiteId && !game.playerTokens.white) {
+      color = 'white';
+    } else if (!game.blackId && !game.playerTokens.black) {
       color = 'black';
     } else {
-      socket.emit('error', 'Room full');
+      // Both seats are taken, so watch instead
+      addSpectator(socket, roomId, name);
       return;
     }
+    
+    if (color === 'white') {
+      game.whiteId = socket.id;
+    } else {
+      game.blackId = socket.id;
+    }
+    
+    if (!reconnecting) {
+      game.playerTokens[color] = generatePlayerToken();
+    }
+    
+    if (typeof name === 'string' && name.trim()) {
+      game.playerNames[color] = name.trim().slice(0, 30);
+    }
+    
+    // Stop any pending abandonment or room cleanup
+    game.disconnectedAt[color] = null;
+    if (game.graceTimeouts) {
+      clearTimeout(game.graceTimeouts[color]);
+    }
+    clearTimeout(game.cleanupTimeout);
 
     socket.join(roomId);
     socket.emit('playerColor', color);
+    socket.emit('playerToken', game.playerTokens[color]);
     socket.emit('boardState', game.position);
+    socket.emit('spectators', Object.values(game.spectators));
     
     // Send game state info
     socket.emit('gameState', {
       inCheck: game.inCheck,
-      lastMovedPiece: game.lastMovedPieces[color],
+      checksGiven: game.checksGiven,
+      lastMovedPieces: game.lastMovedPieces,
       lastMoves: game.lastMoves,
       timers: game.timers,
       castlingRights: game.castlingRights,
       enPassantTarget: game.enPassantTarget,
       gameStarted: game.gameStarted,
-      gameResult: game.gameResult // Add this to handle rejoins during ongoing games
+      gameResult: game.gameResult, // Add this to handle rejoins during ongoing games
+      pendingMove: game.pendingMoves[color],
+      startPosition: game.startPosition,
+      chess960: game.chess960,
+      castlingRooks: game.castlingRooks,
+      rules: game.rules,
+      variant: game.variant,
+      computerSeats: Object.keys(game.bots || {}),
+      history: formatHistory(game)
     });
     
-    console.log(`🎨 Assigned ${color} to ${socket.id} in room ${roomId}`);
+    // A promotion still waiting for a piece choice is asked for again
+    if (game.pendingPromotions[color]) {
+      socket.emit('promotionNeeded', { square: game.pendingPromotions[color].to });
+    }
+    
+    if (reconnecting) {
+      io.to(roomId).emit('playerReconnected', color);
+      console.log(`🔁 ${color} reconnected to room ${roomId} as ${socket.id}`);
+    } else {
+      console.log(`🎨 Assigned ${color} to ${socket.id} in room ${roomId}`);
+    }
     
     // Notify if both players have joined
-    if (game.whiteId && game.blackId) {
+    if (game.whiteId && game.blackId && !game.gameResult) {
       io.to(roomId).emit('gameReady', true);
       
       // Start the game timer when both players join
       game.timerRunning = true;
       game.timers.lastUpdate = Date.now();
       
-      // In chess-style timer, both players' timers start running until they submit a move
-      game.timers.whiteActive = true;
-      game.timers.blackActive = true;
+      // In chess-style timer, both players' timers run until they submit a move
+      // (a reconnecting player may already have submitted theirs)
+      checkTimerStatus(game);
+      
+      // A computer opponent can start thinking
+      requestBotMoves(roomId);
       
       // Send timer updates every second
       if (!games[roomId].timerInterval) {
@@ -127,36 +705,32 @@ io.on('connection', (socket) => {
             // Check for timeout
             let gameOver = false;
             
+            // The round in progress is the one the game ends in
+            const round = getCurrentRound(game);
+            
             if (game.timers.white <= 0) {
-              game.gameResult = 'blackWins';
-              game.timerRunning = false;
-              
-              io.to(roomId).emit('gameState', {
-                inCheck: game.inCheck,
-                lastMovedPieces: game.lastMovedPieces,
-                lastMoves: game.lastMoves,
-                timers: game.timers,
-                gameResult: 'blackWins'
-              });
+              game.gameResult = { winner: 'black', reason: 'timeout', round };
               gameOver = true;
             } else if (game.timers.black <= 0) {
-              game.gameResult = 'whiteWins';
+              game.gameResult = { winner: 'white', reason: 'timeout', round };
+              gameOver = true;
+            }
+            
+            if (gameOver) {
+              closeBots(game);
+              
+              // Stop the timers when game is over
               game.timerRunning = false;
+              game.timers.whiteActive = false;
+              game.timers.blackActive = false;
               
               io.to(roomId).emit('gameState', {
                 inCheck: game.inCheck,
                 lastMovedPieces: game.lastMovedPieces,
                 lastMoves: game.lastMoves,
                 timers: game.timers,
-                gameResult: 'whiteWins'
+                gameResult: game.gameResult
               });
-              gameOver = true;
-            }
-            
-            if (gameOver) {
-              // Stop the timer interval when game is over
-              game.timers.whiteActive = false;
-              game.timers.blackActive = false;
             } else {
               // Just send timer updates
               io.to(roomId).emit('timerUpdate', game.timers);
@@ -206,14 +780,18 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle pawn promotion - FIXED
-  socket.on('promotePawn', ({ gameId, square, pieceType }) => {
+  // Moves and promotion choices go through the same functions as bot moves
+  socket.on('promotePawn', (data) => promotePawn(socket, data));
+  socket.on('submitMove', (data) => submitMove(socket, data));
+
+  // Take back a submitted move while the opponent has not submitted yet
+  socket.on('retractMove', ({ gameId }) => {
     const game = games[gameId];
     if (!game) {
       socket.emit('error', 'Game not found');
       return;
     }
-
+    
     const colorName = (socket.id === game.whiteId) ? 'white' : 
                       (socket.id === game.blackId) ? 'black' : null;
     if (!colorName) {
@@ -221,115 +799,73 @@ io.on('connection', (socket) => {
       return;
     }
     
-    const color = colorName === 'white' ? 'w' : 'b';
-    
-    // Validate the piece type (Q, R, N, B)
-    if (!['Q', 'R', 'N', 'B'].includes(pieceType)) {
-      socket.emit('error', 'Invalid promotion piece type');
+    if (game.gameResult) {
+      socket.emit('error', 'The game is over');
       return;
     }
     
-    // Check if we have a pending move with a pawn that needs promotion
-    if (!game.pendingMoves[colorName]) {
-      socket.emit('error', 'No pending move requiring promotion');
+    // Rounds resolve as soon as both moves are in, so any stored move is still open
+    if (!game.pendingMoves[colorName] && !game.pendingPromotions[colorName]) {
+      socket.emit('error', 'No submitted move to retract');
       return;
     }
     
-    const pendingMove = game.pendingMoves[colorName];
-    const destinationSquare = pendingMove.to;
+    game.pendingMoves[colorName] = null;
+    game.pendingPromotions[colorName] = null;
     
-    // Check if the specified square matches our pending move destination
-    if (destinationSquare !== square) {
-      socket.emit('error', 'Square mismatch for promotion');
-      return;
-    }
+    console.log(`↩️ ${colorName} retracted their move in room ${gameId}`);
     
-    // Check if there's a pawn at the source square in the pendingMove
-    const fromCoords = require('./boardUtils').squareToCoords(pendingMove.from);
-    const board = require('./boardUtils').positionToBoard(game.position);
-    const piece = board[fromCoords.rank][fromCoords.file];
+    // Restart this player's clock
+    checkTimerStatus(game);
     
-    if (!piece || piece[0] !== color || piece[1] !== 'P') {
-      socket.emit('error', 'No pawn found for promotion');
+    socket.emit('moveRetracted', true);
+    io.to(gameId).emit('timerUpdate', game.timers);
+  });
+  
+  // Win the game when the opponent has been gone for longer than the grace period
+  socket.on('claimWin', ({ gameId }) => {
+    const game = games[gameId];
+    if (!game) {
+      socket.emit('error', 'Game not found');
       return;
     }
     
-    // Check if the pawn is moving to the promotion rank
-    const toRank = square[1];
-    if ((color === 'w' && toRank !== '8') || (color === 'b' && toRank !== '1')) {
-      socket.emit('error', 'Pawn is not moving to the promotion rank');
+    const colorName = (socket.id === game.whiteId) ? 'white' : 
+                      (socket.id === game.blackId) ? 'black' : null;
+    if (!colorName) {
+      socket.emit('error', 'You are not a player in this game');
       return;
     }
     
-    // At this point, we've validated the promotion request
-    // Create a promoted piece ID that maintains the pawn's identifier
-    // e.g., wPe -> wQe (keeping the file identifier)
-    const promotedPieceId = color + pieceType + piece.substring(2);
-    
-    // Store the promotion choice in the pending move
-    game.pendingMoves[colorName].promotion = pieceType;
-    game.pendingMoves[colorName].promotedPieceId = promotedPieceId;
-    
-    console.log(`${colorName} is promoting pawn at ${square} to ${color}${pieceType}`);
+    if (game.gameResult) {
+      socket.emit('error', 'The game is over');
+      return;
+    }
     
-    // Update timer status based on who has submitted moves
-    checkTimerStatus(game);
+    const opponentColor = colorName === 'white' ? 'black' : 'white';
+    const opponentId = opponentColor === 'white' ? game.whiteId : game.blackId;
+    const disconnectedAt = game.disconnectedAt[opponentColor];
     
-    // Send timer update to all players
-    io.to(gameId).emit('timerUpdate', game.timers);
+    if (opponentId || !disconnectedAt || Date.now() - disconnectedAt < DISCONNECT_GRACE_SECONDS * 1000) {
+      socket.emit('error', 'Your opponent can still reconnect');
+      return;
+    }
     
-    // Send confirmation back to the player
-    socket.emit('promotionConfirmed', {
-      square: square,
-      pieceType: pieceType
+    endGame(gameId, {
+      winner: colorName,
+      reason: 'abandonment',
+      round: getCurrentRound(game)
     });
-    
-    // If both players have submitted moves, process them
-    if (game.pendingMoves.white && game.pendingMoves.black) {
-      // Process the moves
-      const result = processMoves(game);
-      
-      // Reset pending moves for next round
-      game.pendingMoves = { white: null, black: null };
-      
-      // Set timer status based on game result
-      if (result.gameResult) {
-        game.gameResult = result.gameResult;
-        game.timerRunning = false;
-        game.timers.whiteActive = false;
-        game.timers.blackActive = false;
-      } else {
-        // For chess-style timer, activate both timers for the next round
-        game.timers.whiteActive = true;
-        game.timers.blackActive = true;
-      }
-      
-      game.timers.lastUpdate = Date.now();
-      
-      // Send updated board to both players
-      io.to(gameId).emit('boardState', game.position);
-      
-      // Send game state to both players
-      io.to(gameId).emit('gameState', {
-        inCheck: game.inCheck,
-        lastMovedPieces: game.lastMovedPieces,
-        lastMoves: game.lastMoves,
-        timers: game.timers,
-        castlingRights: game.castlingRights,
-        enPassantTarget: game.enPassantTarget,
-        gameStarted: game.gameStarted,
-        gameResult: result.gameResult
-      });
-    }
   });
-
-  socket.on('submitMove', ({ gameId, move }) => {
+  
+  // Concede the game to the opponent
+  socket.on('resign', ({ gameId }) => {
     const game = games[gameId];
     if (!game) {
       socket.emit('error', 'Game not found');
       return;
     }
-
+    
     const colorName = (socket.id === game.whiteId) ? 'white' : 
                       (socket.id === game.blackId) ? 'black' : null;
     if (!colorName) {
@@ -337,191 +873,160 @@ io.on('connection', (socket) => {
       return;
     }
     
-    // Mark the game as started when the first move is submitted
-    if (!game.gameStarted) {
-      game.gameStarted = true;
-      io.to(gameId).emit('gameStarted', true);
+    if (game.gameResult) {
+      socket.emit('error', 'The game is over');
+      return;
     }
     
-    const color = colorName === 'white' ? 'w' : 'b';
-    
-    // Get the current board
-    const board = require('./boardUtils').positionToBoard(game.position);
-    
-    // Validate move
-    const { from, to } = move;
-    const fromCoords = require('./boardUtils').squareToCoords(from);
+    endGame(gameId, {
+      winner: colorName === 'white' ? 'black' : 'white',
+      reason: 'resignation',
+      round: getCurrentRound(game)
+    });
+  });
+  
+  // Offer a draw to the opponent, who answers with respondDraw
+  socket.on('offerDraw', ({ gameId }) => {
+    const game = games[gameId];
+    if (!game) {
+      socket.emit('error', 'Game not found');
+      return;
+    }
     
-    // Check if the square has a piece
-    if (!board[fromCoords.rank] || !board[fromCoords.rank][fromCoords.file]) {
-      socket.emit('error', 'No piece at starting position');
+    const colorName = (socket.id === game.whiteId) ? 'white' : 
+                      (socket.id === game.blackId) ? 'black' : null;
+    if (!colorName) {
+      socket.emit('error', 'You are not a player in this game');
       return;
     }
     
-    const piece = board[fromCoords.rank][fromCoords.file];
+    if (game.gameResult) {
+      socket.emit('error', 'The game is over');
+      return;
+    }
     
-    // Check if moving the correct color
-    if (!piece || piece[0] !== color) {
-      socket.emit('error', 'Not your piece');
+    if (game.drawOffer) {
+      socket.emit('error', 'A draw offer is already pending');
       return;
     }
     
-    console.log(`Player ${colorName} is moving ${piece} from ${from} to ${to}`);
-    console.log(`Last moved piece for ${colorName} was: ${game.lastMovedPieces[colorName]}`);
+    game.drawOffer = colorName;
+    io.to(gameId).emit('drawOffered', colorName);
+    console.log(`🤝 ${colorName} offered a draw in room ${gameId}`);
     
-    // Check "no repeating the same piece" rule with exceptions
-    if (piece === game.lastMovedPieces[colorName]) {
-      // Exception 1: King can move if in check
-      const kingExceptionApplies = (piece[1] === 'K' && game.inCheck[colorName]);
-      
-      // Exception 2: King can have an extra move when in check (SyncChess variant rule)
-      const kingExtraMoveApplies = (piece[1] === 'K' && game.inCheck[colorName]);
-      
-      // Exception 3: If there are no other valid moves available
-      let hasOtherValidMoves = false;
-      if (!kingExceptionApplies && !kingExtraMoveApplies) {
-        // Check if any other piece can make a valid move
-        for (let r = 0; r < 8; r++) {
-          for (let f = 0; f < 8; f++) {
-            const checkPiece = board[r][f];
-            if (checkPiece && checkPiece[0] === color && checkPiece !== piece) {
-              const checkFrom = require('./boardUtils').coordsToSquare({ rank: r, file: f });
-              // Try every square on the board
-              for (let tr = 0; tr < 8; tr++) {
-                for (let tf = 0; tf < 8; tf++) {
-                  const checkTo = require('./boardUtils').coordsToSquare({ rank: tr, file: tf });
-                  // Use just the basic piece type for move validation
-                  const basicPieceType = checkPiece.substring(0, 2);
-                  if (isLegalMove(board, checkFrom, checkTo, basicPieceType, game)) {
-                    hasOtherValidMoves = true;
-                    break;
-                  }
-                }
-                if (hasOtherValidMoves) break;
-              }
-            }
-            if (hasOtherValidMoves) break;
-          }
-          if (hasOtherValidMoves) break;
-        }
-      }
-      
-      // Allow the move if any exception applies
-      if (kingExceptionApplies || kingExtraMoveApplies || !hasOtherValidMoves) {
-        console.log("Exception to 'no repeating piece' rule applies");
-      } else {
-        socket.emit('error', 'Cannot move the same piece twice in a row');
-        return;
-      }
+    // Computer opponents always play on
+    const opponentColor = colorName === 'white' ? 'black' : 'white';
+    if (game.bots && game.bots[opponentColor]) {
+      game.drawOffer = null;
+      io.to(gameId).emit('drawDeclined', opponentColor);
     }
-    
-    // Basic move validation
-    const basicPieceType = piece.substring(0, 2);
-    if (!isLegalMove(board, from, to, basicPieceType, game)) {
-      socket.emit('error', 'Illegal move');
+  });
+  
+  // Accept or decline the opponent's draw offer
+  socket.on('respondDraw', ({ gameId, accept }) => {
+    const game = games[gameId];
+    if (!game) {
+      socket.emit('error', 'Game not found');
       return;
     }
     
-    // If the king is in check, verify this move actually gets out of check
-    if (game.inCheck[colorName]) {
-      // Make a temporary board with the intended move
-      const tempBoard = JSON.parse(JSON.stringify(board));
-      const toCoords = require('./boardUtils').squareToCoords(to);
-      
-      // Apply the move to the temporary board
-      tempBoard[fromCoords.rank][fromCoords.file] = null;
-      tempBoard[toCoords.rank][toCoords.file] = piece;
-      
-      // Check if the king is still in check after the move
-      if (isInCheck(tempBoard, color)) {
-        socket.emit('error', 'Your king is in check! You must make a move that resolves the check.');
-        return;
-      }
+    const colorName = (socket.id === game.whiteId) ? 'white' : 
+                      (socket.id === game.blackId) ? 'black' : null;
+    if (!colorName) {
+      socket.emit('error', 'You are not a player in this game');
+      return;
     }
     
-    // Check for pawn promotion
-    const isPawnPromotion = (piece[1] === 'P') && ((color === 'w' && to[1] === '8') || (color === 'b' && to[1] === '1'));
-    if (isPawnPromotion) {
-      // Store the pending move
-      game.pendingMoves[colorName] = move;
-      
-      // Request promotion choice from the client
-      socket.emit('promotionNeeded', { square: to });
-      return; // Wait for the promotion choice before continuing
+    // Only the opponent of whoever offered can answer
+    if (game.gameResult || !game.drawOffer || game.drawOffer === colorName) {
+      socket.emit('error', 'There is no draw offer to respond to');
+      return;
     }
     
-    // Store the pending move
-    game.pendingMoves[colorName] = move;
-    socket.emit('moveAccepted', true);
+    if (accept) {
+      endGame(gameId, {
+        winner: null,
+        reason: 'agreement',
+        round: getCurrentRound(game)
+      });
+    } else {
+      game.drawOffer = null;
+      io.to(gameId).emit('drawDeclined', colorName);
+    }
+  });
+  
+  // Cancel the game, only allowed before the first move is submitted
+  socket.on('abort', ({ gameId }) => {
+    const game = games[gameId];
+    if (!game) {
+      socket.emit('error', 'Game not found');
+      return;
+    }
     
-    // Update timer status based on who has submitted moves
-    checkTimerStatus(game);
+    const colorName = (socket.id === game.whiteId) ? 'white' : 
+                      (socket.id === game.blackId) ? 'black' : null;
+    if (!colorName) {
+      socket.emit('error', 'You are not a player in this game');
+      return;
+    }
     
-    // Send timer update to all players
-    io.to(gameId).emit('timerUpdate', game.timers);
+    if (game.gameResult) {
+      socket.emit('error', 'The game is over');
+      return;
+    }
     
-    // If both players have submitted moves, process them
-    if (game.pendingMoves.white && game.pendingMoves.black) {
-      // Process the moves
-      const result = processMoves(game);
-      
-      // Reset pending moves for next round
-      game.pendingMoves = { white: null, black: null };
-      
-      // Set timer status based on game result
-      if (result.gameResult) {
-        game.gameResult = result.gameResult;
-        game.timerRunning = false;
-        game.timers.whiteActive = false;
-        game.timers.blackActive = false;
-      } else {
-        // For chess-style timer, activate both timers for the next round
-        game.timers.whiteActive = true;
-        game.timers.blackActive = true;
-      }
-      
-      game.timers.lastUpdate = Date.now();
-      
-      // Send updated board to both players
-      io.to(gameId).emit('boardState', game.position);
-      
-      // Send game state to both players
-      io.to(gameId).emit('gameState', {
-        inCheck: game.inCheck,
-        lastMovedPieces: game.lastMovedPieces,
-        lastMoves: game.lastMoves,
-        timers: game.timers,
-        castlingRights: game.castlingRights,
-        enPassantTarget: game.enPassantTarget,
-        gameStarted: game.gameStarted,
-        gameResult: result.gameResult
-      });
+    if (game.gameStarted) {
+      socket.emit('error', 'The game has already started and can no longer be aborted');
+      return;
     }
+    
+    endGame(gameId, { winner: null, reason: 'aborted', round: 0 });
   });
 
   socket.on('disconnect', () => {
     for (const roomId in games) {
       const game = games[roomId];
+      
+      if (game.spectators[socket.id]) {
+        console.log(`👋 ${game.spectators[socket.id]} stopped spectating room ${roomId}`);
+        delete game.spectators[socket.id];
+        io.to(roomId).emit('spectators', Object.values(game.spectators));
+      }
+      
+      let leftRoom = false;
+      
+      // The seat stays reserved for the player's token during the grace period
       if (game.whiteId === socket.id) {
         game.whiteId = null;
-        io.to(roomId).emit('playerDisconnected', 'white');
+        startDisconnectGrace(roomId, 'white');
+        leftRoom = true;
         console.log(`⚪ White player disconnected from room ${roomId}`);
       }
       if (game.blackId === socket.id) {
         game.blackId = null;
-        io.to(roomId).emit('playerDisconnected', 'black');
+        startDisconnectGrace(roomId, 'black');
+        leftRoom = true;
         console.log(`⚫ Black player disconnected from room ${roomId}`);
       }
       
-      // Clean up empty games
-      if (!game.whiteId && !game.blackId) {
-        console.log(`🧹 Cleaning up empty room ${roomId}`);
-        
-        // Clear the timer interval if it exists
-        if (games[roomId].timerInterval) {
-          clearInterval(games[roomId].timerInterval);
-        }
-        delete games[roomId];
+      // Clean up empty games if nobody comes back within the grace period
+      if (leftRoom && !hasConnectedPlayer(game)) {
+        clearTimeout(game.cleanupTimeout);
+        game.cleanupTimeout = setTimeout(() => {
+          if (games[roomId] !== game || hasConnectedPlayer(game)) {
+            return;
+          }
+          
+          console.log(`🧹 Cleaning up empty room ${roomId}`);
+          
+          // Clear the timer interval if it exists
+          if (game.timerInterval) {
+            clearInterval(game.timerInterval);
+          }
+          Object.values(game.graceTimeouts || {}).forEach(clearTimeout);
+          closeBots(game);
+          delete games[roomId];
+        }, DISCONNECT_GRACE_SECONDS * 1000);
       }
     }
   });
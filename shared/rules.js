@@ -0,0 +1,785 @@
+/**
+ * SyncChess rules shared by the server and the browser
+ *
+ * Loaded with require() on the server and as a plain <script> in the browser,
+ * where it is exposed as the global SyncChessRules.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SyncChessRules = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Convert position object to a 2D array for easier processing
+  function positionToBoard(position) {
+    const board = Array(8).fill().map(() => Array(8).fill(null));
+
+    Object.entries(position).forEach(([square, piece]) => {
+      const file = square.charCodeAt(0) - 97; // 'a' -> 0
+      const rank = 8 - parseInt(square[1]);   // '1' -> 7
+      board[rank][file] = piece;
+    });
+
+    return board;
+  }
+
+  // Convert 2D array back to position object
+  function boardToPosition(board) {
+    const position = {};
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board[rank][file];
+        if (piece) {
+          const square = String.fromCharCode(97 + file) + (8 - rank);
+          position[square] = piece;
+        }
+      }
+    }
+
+    return position;
+  }
+
+  // Convert algebraic notation to coordinates
+  function squareToCoords(square) {
+    const file = square.charCodeAt(0) - 97; // 'a' -> 0
+    const rank = 8 - parseInt(square[1]);   // '1' -> 7
+    return { rank, file };
+  }
+
+  // Convert coordinates to algebraic notation
+  function coordsToSquare(coords) {
+    const { rank, file } = coords;
+    return String.fromCharCode(97 + file) + (8 - rank);
+  }
+
+  // Check if a square is threatened by opponent pieces
+  function isSquareUnderAttack(board, square, attackerColor) {
+    const coords = squareToCoords(square);
+
+    // Check pawn attacks
+    const pawnDir = attackerColor === 'w' ? -1 : 1;
+    const pawnRank = coords.rank - pawnDir;
+
+    // Ensure pawn rank is valid
+    if (pawnRank >= 0 && pawnRank < 8) {
+      // Check diagonal left attack
+      if (coords.file - 1 >= 0) {
+        const piece = board[pawnRank][coords.file - 1];
+        if (piece && piece[0] === attackerColor && piece[1] === 'P') {
+          return true;
+        }
+      }
+
+      // Check diagonal right attack
+      if (coords.file + 1 < 8) {
+        const piece = board[pawnRank][coords.file + 1];
+        if (piece && piece[0] === attackerColor && piece[1] === 'P') {
+          return true;
+        }
+      }
+    }
+
+    // Check knight attacks
+    const knightMoves = [
+      { rank: -2, file: -1 }, { rank: -2, file: 1 },
+      { rank: -1, file: -2 }, { rank: -1, file: 2 },
+      { rank: 1, file: -2 }, { rank: 1, file: 2 },
+      { rank: 2, file: -1 }, { rank: 2, file: 1 }
+    ];
+
+    for (const move of knightMoves) {
+      const r = coords.rank + move.rank;
+      const f = coords.file + move.file;
+
+      if (r >= 0 && r < 8 && f >= 0 && f < 8) {
+        const piece = board[r][f];
+        if (piece && piece[0] === attackerColor && piece[1] === 'N') {
+          return true;
+        }
+      }
+    }
+
+    // Check king attacks (for adjacent squares)
+    const kingMoves = [
+      { rank: -1, file: -1 }, { rank: -1, file: 0 }, { rank: -1, file: 1 },
+      { rank: 0, file: -1 }, { rank: 0, file: 1 },
+      { rank: 1, file: -1 }, { rank: 1, file: 0 }, { rank: 1, file: 1 }
+    ];
+
+    for (const move of kingMoves) {
+      const r = coords.rank + move.rank;
+      const f = coords.file + move.file;
+
+      if (r >= 0 && r < 8 && f >= 0 && f < 8) {
+        const piece = board[r][f];
+        if (piece && piece[0] === attackerColor && piece[1] === 'K') {
+          return true;
+        }
+      }
+    }
+
+    // Check rook/queen attacks (horizontal and vertical)
+    const rookDirs = [
+      { rank: -1, file: 0 }, // up
+      { rank: 1, file: 0 },  // down
+      { rank: 0, file: -1 }, // left
+      { rank: 0, file: 1 }   // right
+    ];
+
+    for (const dir of rookDirs) {
+      let r = coords.rank + dir.rank;
+      let f = coords.file + dir.file;
+
+      while (r >= 0 && r < 8 && f >= 0 && f < 8) {
+        const piece = board[r][f];
+
+        if (piece) {
+          if (piece[0] === attackerColor && (piece[1] === 'R' || piece[1] === 'Q')) {
+            return true;
+          }
+          break; // Stop checking in this direction if we hit any piece
+        }
+
+        r += dir.rank;
+        f += dir.file;
+      }
+    }
+
+    // Check bishop/queen attacks (diagonals)
+    const bishopDirs = [
+      { rank: -1, file: -1 }, // up-left
+      { rank: -1, file: 1 },  // up-right
+      { rank: 1, file: -1 },  // down-left
+      { rank: 1, file: 1 }    // down-right
+    ];
+
+    for (const dir of bishopDirs) {
+      let r = coords.rank + dir.rank;
+      let f = coords.file + dir.file;
+
+      while (r >= 0 && r < 8 && f >= 0 && f < 8) {
+        const piece = board[r][f];
+
+        if (piece) {
+          if (piece[0] === attackerColor && (piece[1] === 'B' || piece[1] === 'Q')) {
+            return true;
+          }
+          break; // Stop checking in this direction if we hit any piece
+        }
+
+        r += dir.rank;
+        f += dir.file;
+      }
+    }
+
+    return false;
+  }
+
+  // Find a king's position on the board
+  function findKing(board, color) {
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board[rank][file];
+        if (piece && piece[0] === color && piece[1] === 'K') {
+          return coordsToSquare({ rank, file });
+        }
+      }
+    }
+    return null;
+  }
+
+  // Check if a king is in check
+  function isInCheck(board, color) {
+    const kingSquare = findKing(board, color);
+    if (!kingSquare) return false; // If king is not found (e.g., collision removed it), not in check
+
+    const opponentColor = color === 'w' ? 'b' : 'w';
+    return isSquareUnderAttack(board, kingSquare, opponentColor);
+  }
+
+  // The squares of the attackerColor pieces that attack a square. Each piece is
+  // tested on its own, with the other attackers left standing as blockers
+  function getAttackers(board, square, attackerColor) {
+    const attackers = [];
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board[rank][file];
+        if (!piece || piece[0] !== attackerColor) {
+          continue;
+        }
+
+        const alone = board.map((row, r) => row.map((other, f) =>
+          other && other[0] === attackerColor && (r !== rank || f !== file) ? 'x-' : other
+        ));
+        if (isSquareUnderAttack(alone, square, attackerColor)) {
+          attackers.push(coordsToSquare({ rank, file }));
+        }
+      }
+    }
+
+    return attackers;
+  }
+
+  // The stayInCheck house rule lets a king in check stay where it is, still in
+  // check, but not be put in check by anything new: it can't step onto another
+  // attacked square, and a pinned piece can't move away and expose it
+  function staysInSameCheck(board, newBoard, color) {
+    const kingSquare = findKing(board, color);
+    if (findKing(newBoard, color) !== kingSquare) {
+      return false;
+    }
+
+    const opponentColor = color === 'w' ? 'b' : 'w';
+    const checkers = getAttackers(board, kingSquare, opponentColor);
+    return getAttackers(newBoard, kingSquare, opponentColor).every(square => checkers.includes(square));
+  }
+
+  // House rules a room can switch at creation (stored as game.rules):
+  //   collisionRemovesBoth  pieces moving to the same square are both removed;
+  //                         when off, both moves are cancelled and the pieces stay
+  //   swerve                a piece that moves away from a capture escapes it;
+  //                         when off, it is taken on its starting square anyway
+  //   noRepeat              the same piece can't move twice in a row
+  //   stayInCheck           a king in check doesn't have to escape it (and can
+  //                         then be captured), as long as it stays on its square
+  //                         and no other piece gets to attack it
+  const DEFAULT_RULES = {
+    collisionRemovesBoth: true,
+    swerve: true,
+    noRepeat: true,
+    stayInCheck: false
+  };
+
+  // The rules a game is played with; games without rules use the defaults
+  function getRules(gameState) {
+    return Object.assign({}, DEFAULT_RULES, gameState && gameState.rules);
+  }
+
+  // Where each side's castling rooks start. Standard chess unless the game
+  // says otherwise (Chess960 games store their own)
+  const STANDARD_CASTLING_ROOKS = {
+    white: { kingSide: 'h1', queenSide: 'a1' },
+    black: { kingSide: 'h8', queenSide: 'a8' }
+  };
+
+  function getCastlingRooks(gameState, colorName) {
+    const castlingRooks = (gameState && gameState.castlingRooks) || STANDARD_CASTLING_ROOKS;
+    return castlingRooks[colorName];
+  }
+
+  // Work out whether a king move is castling, and if so where the king and
+  // rook start and end. The king always ends on the g- or c-file and the rook
+  // next to it on the f- or d-file. In standard chess castling is written as
+  // the king moving two squares; in Chess960 (gameState.chess960) the king may
+  // move one square or not at all, so it is written as the king moving onto
+  // its own rook. Returns { side, kingFrom, kingTo, rookFrom, rookTo } or null.
+  function getCastlingMove(board, move, gameState) {
+    const fromCoords = squareToCoords(move.from);
+    const toCoords = squareToCoords(move.to);
+    const king = board[fromCoords.rank][fromCoords.file];
+
+    if (!king || king[1] !== 'K' || fromCoords.rank !== toCoords.rank) {
+      return null;
+    }
+
+    const color = king[0];
+    const colorName = color === 'w' ? 'white' : 'black';
+    const backRank = color === 'w' ? 7 : 0;
+    if (fromCoords.rank !== backRank) {
+      return null;
+    }
+
+    const rooks = getCastlingRooks(gameState, colorName);
+    let side = null;
+
+    if (gameState && gameState.chess960) {
+      const target = board[toCoords.rank][toCoords.file];
+      if (target && target[0] === color && target[1] === 'R') {
+        if (move.to === rooks.kingSide) side = 'kingSide';
+        if (move.to === rooks.queenSide) side = 'queenSide';
+      }
+    } else if (fromCoords.file === 4 && (toCoords.file === 6 || toCoords.file === 2)) {
+      side = toCoords.file === 6 ? 'kingSide' : 'queenSide';
+    }
+
+    if (!side) {
+      return null;
+    }
+
+    return {
+      side,
+      kingFrom: move.from,
+      kingTo: coordsToSquare({ rank: backRank, file: side === 'kingSide' ? 6 : 2 }),
+      rookFrom: rooks[side],
+      rookTo: coordsToSquare({ rank: backRank, file: side === 'kingSide' ? 5 : 3 })
+    };
+  }
+
+  // Files from a to b, both included
+  function fileRange(a, b) {
+    const files = [];
+    for (let file = Math.min(a, b); file <= Math.max(a, b); file++) {
+      files.push(file);
+    }
+    return files;
+  }
+
+  // Every square the king and rook cross or land on has to be empty, apart
+  // from the castling king and rook themselves
+  function isCastlingPathClear(board, castling) {
+    const rank = squareToCoords(castling.kingFrom).rank;
+    const kingFrom = squareToCoords(castling.kingFrom).file;
+    const kingTo = squareToCoords(castling.kingTo).file;
+    const rookFrom = squareToCoords(castling.rookFrom).file;
+    const rookTo = squareToCoords(castling.rookTo).file;
+
+    return fileRange(kingFrom, kingTo).concat(fileRange(rookFrom, rookTo))
+      .every(file => file === kingFrom || file === rookFrom || !board[rank][file]);
+  }
+
+  // Whether one of the squares the king passes over (not its start or
+  // destination) is attacked
+  function castlingPassesThroughCheck(board, castling, color) {
+    const rank = squareToCoords(castling.kingFrom).rank;
+    const kingFrom = squareToCoords(castling.kingFrom).file;
+    const kingTo = squareToCoords(castling.kingTo).file;
+    const opponentColor = color === 'w' ? 'b' : 'w';
+
+    return fileRange(kingFrom, kingTo)
+      .filter(file => file !== kingFrom && file !== kingTo)
+      .some(file => isSquareUnderAttack(board, coordsToSquare({ rank, file }), opponentColor));
+  }
+
+  // Castling rights, the rook still in place, not in check, a clear path and
+  // no attacked square on the way. Landing in check is left to the king
+  // safety check, like any other move.
+  function canCastle(board, color, castling, gameState) {
+    const colorName = color === 'w' ? 'white' : 'black';
+    const rights = gameState.castlingRights && gameState.castlingRights[colorName];
+
+    if (!rights || !rights[castling.side]) {
+      return false;
+    }
+
+    const rookCoords = squareToCoords(castling.rookFrom);
+    const rookPiece = board[rookCoords.rank][rookCoords.file];
+    if (!rookPiece || rookPiece[0] !== color || rookPiece[1] !== 'R') {
+      return false;
+    }
+
+    if (isInCheck(board, color)) {
+      return false;
+    }
+
+    return isCastlingPathClear(board, castling) && !castlingPassesThroughCheck(board, castling, color);
+  }
+
+  // Check if a move is legal according to standard chess rules
+  function isLegalMove(board, from, to, piece, gameState) {
+    // Extract the color (w/b) and type (P/R/N/B/Q/K)
+    const color = piece[0];
+    const type = piece[1];
+
+    const fromCoords = squareToCoords(from);
+    const toCoords = squareToCoords(to);
+
+    // Castling comes first, since in Chess960 the king moves onto its own rook
+    if (type === 'K') {
+      const castling = getCastlingMove(board, { from, to }, gameState);
+      if (castling) {
+        return canCastle(board, color, castling, gameState);
+      }
+    }
+
+    // Check if destination has a piece of the same color
+    const destPiece = board[toCoords.rank][toCoords.file];
+    if (destPiece && destPiece[0] === color) {
+      return false; // Can't capture your own piece
+    }
+
+    // Calculate move delta
+    const rankDiff = toCoords.rank - fromCoords.rank;
+    const fileDiff = toCoords.file - fromCoords.file;
+
+    // Check basic movement patterns for each piece type
+    switch (type) {
+      case 'P': // Pawn
+        // White pawns move up (negative rank), black pawns move down (positive rank)
+        const direction = color === 'w' ? -1 : 1;
+        const startRank = color === 'w' ? 6 : 1;
+
+        // Forward move (non-capture)
+        if (fileDiff === 0 && !destPiece) {
+          // Single square forward
+          if (rankDiff === direction) {
+            return true;
+          }
+
+          // Double square from starting position
+          if (rankDiff === 2 * direction && fromCoords.rank === startRank) {
+            // Check if path is clear
+            const midRank = fromCoords.rank + direction;
+            if (!board[midRank][fromCoords.file]) {
+              return true;
+            }
+          }
+        }
+
+        // Regular capture moves (diagonal)
+        if (Math.abs(fileDiff) === 1 && rankDiff === direction && destPiece) {
+          return true;
+        }
+
+        // En passant capture (only onto the square an enemy pawn skipped over)
+        if (Math.abs(fileDiff) === 1 && rankDiff === direction && !destPiece && gameState.enPassantTarget) {
+          const enPassantCoords = squareToCoords(gameState.enPassantTarget);
+          const enPassantRank = color === 'w' ? 2 : 5;
+          if (toCoords.rank === enPassantCoords.rank && toCoords.file === enPassantCoords.file &&
+              toCoords.rank === enPassantRank) {
+            return true;
+          }
+        }
+
+        return false;
+
+      case 'R': // Rook
+        // Rooks move horizontally or vertically
+        if (rankDiff !== 0 && fileDiff !== 0) {
+          return false;
+        }
+
+        // Check if path is clear
+        const rStep = Math.sign(rankDiff);
+        const fStep = Math.sign(fileDiff);
+
+        let r = fromCoords.rank + rStep;
+        let f = fromCoords.file + fStep;
+
+        while (r !== toCoords.rank || f !== toCoords.file) {
+          if (board[r][f]) {
+            return false; // Path is blocked
+          }
+          r += rStep;
+          f += fStep;
+        }
+
+        return true;
+
+      case 'N': // Knight
+        // Knights move in an L-shape: 2 squares in one dimension and 1 in the other
+        return (Math.abs(rankDiff) === 2 && Math.abs(fileDiff) === 1) ||
+               (Math.abs(rankDiff) === 1 && Math.abs(fileDiff) === 2);
+
+      case 'B': // Bishop
+        // Bishops move diagonally
+        if (Math.abs(rankDiff) !== Math.abs(fileDiff)) {
+          return false;
+        }
+
+        // Check if path is clear
+        const rDiagStep = Math.sign(rankDiff);
+        const fDiagStep = Math.sign(fileDiff);
+
+        let rDiag = fromCoords.rank + rDiagStep;
+        let fDiag = fromCoords.file + fDiagStep;
+
+        while (rDiag !== toCoords.rank && fDiag !== toCoords.file) {
+          if (board[rDiag][fDiag]) {
+            return false; // Path is blocked
+          }
+          rDiag += rDiagStep;
+          fDiag += fDiagStep;
+        }
+
+        return true;
+
+      case 'Q': // Queen
+        // Queens move like rooks or bishops
+        const isDiagonal = Math.abs(rankDiff) === Math.abs(fileDiff);
+        const isStraight = rankDiff === 0 || fileDiff === 0;
+
+        if (!isDiagonal && !isStraight) {
+          return false;
+        }
+
+        // Check if path is clear (similar to rook and bishop combined)
+        const rQStep = Math.sign(rankDiff);
+        const fQStep = Math.sign(fileDiff);
+
+        let rQ = fromCoords.rank + rQStep;
+        let fQ = fromCoords.file + fQStep;
+
+        while (rQ !== toCoords.rank || fQ !== toCoords.file) {
+          if (board[rQ][fQ]) {
+            return false; // Path is blocked
+          }
+          rQ += rQStep;
+          fQ += fQStep;
+        }
+
+        return true;
+
+      case 'K': // King
+        // Normal king move (one square in any direction)
+        if (Math.abs(rankDiff) <= 1 && Math.abs(fileDiff) <= 1) {
+          return true;
+        }
+
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  // Move the king and rook of a castling move (see getCastlingMove) on the board.
+  // Returns the castling details, or null if the move isn't castling.
+  function handleCastling(board, color, move, gameState) {
+    const castling = getCastlingMove(board, move, gameState);
+    if (!castling) {
+      return null;
+    }
+
+    const kingFrom = squareToCoords(castling.kingFrom);
+    const kingTo = squareToCoords(castling.kingTo);
+    const rookFrom = squareToCoords(castling.rookFrom);
+    const rookTo = squareToCoords(castling.rookTo);
+
+    const kingPiece = board[kingFrom.rank][kingFrom.file] || color + 'K';
+    const rookPiece = board[rookFrom.rank][rookFrom.file];
+
+    // Lift both pieces first: in Chess960 either may land where the other started
+    board[kingFrom.rank][kingFrom.file] = null;
+    board[rookFrom.rank][rookFrom.file] = null;
+    board[kingTo.rank][kingTo.file] = kingPiece;
+    board[rookTo.rank][rookTo.file] = rookPiece;
+
+    return castling;
+  }
+
+  // Apply a single move to a copy of the board, including the castling rook,
+  // en passant captures and promotion. gameState is only needed to recognise
+  // Chess960 castling. Returns the new board.
+  function applyMoveToBoard(board, move, gameState) {
+    const newBoard = JSON.parse(JSON.stringify(board));
+    const fromCoords = squareToCoords(move.from);
+    const toCoords = squareToCoords(move.to);
+    const piece = board[fromCoords.rank][fromCoords.file];
+
+    if (!piece) {
+      return newBoard;
+    }
+
+    const color = piece[0];
+
+    // Castling moves the rook as well as the king
+    if (piece[1] === 'K' && handleCastling(newBoard, color, move, gameState)) {
+      return newBoard;
+    }
+
+    // En passant removes the pawn that was passed, not the piece on the target square
+    if (piece[1] === 'P' && fromCoords.file !== toCoords.file && !board[toCoords.rank][toCoords.file]) {
+      newBoard[fromCoords.rank][toCoords.file] = null;
+    }
+
+    newBoard[fromCoords.rank][fromCoords.file] = null;
+    newBoard[toCoords.rank][toCoords.file] = move.promotion
+      ? color + move.promotion + piece.substring(2)
+      : piece;
+
+    return newBoard;
+  }
+
+  // List every legal move for one side: piece movement, castling, en passant,
+  // king safety and the "no repeating the same piece" rule with its exceptions.
+  // color may be 'w'/'b' or 'white'/'black'. Each move is
+  // { from, to, piece, promotion } where piece is the unique piece ID and
+  // promotion is only set for pawns reaching the last rank (one entry per choice).
+  function generateLegalMoves(game, color) {
+    color = color[0];
+    const colorName = color === 'w' ? 'white' : 'black';
+    const board = positionToBoard(game.position);
+    const promotionRank = color === 'w' ? 0 : 7;
+    const rules = getRules(game);
+    const mayStayInCheck = rules.stayInCheck && isInCheck(board, color);
+    const moves = [];
+
+    for (let rank = 0; rank < 8; rank++) {
+      for (let file = 0; file < 8; file++) {
+        const piece = board[rank][file];
+        if (!piece || piece[0] !== color) {
+          continue;
+        }
+
+        const fromSquare = coordsToSquare({ rank, file });
+        const basicPieceType = piece.substring(0, 2);
+
+        for (let r = 0; r < 8; r++) {
+          for (let f = 0; f < 8; f++) {
+            if (r === rank && f === file) {
+              continue;
+            }
+
+            const toSquare = coordsToSquare({ rank: r, file: f });
+            if (!isLegalMove(board, fromSquare, toSquare, basicPieceType, game)) {
+              continue;
+            }
+
+            // The move may not leave our own king in check
+            const tempBoard = applyMoveToBoard(board, { from: fromSquare, to: toSquare }, game);
+            if (isInCheck(tempBoard, color) && !(mayStayInCheck && staysInSameCheck(board, tempBoard, color))) {
+              continue;
+            }
+
+            if (piece[1] === 'P' && r === promotionRank) {
+              ['Q', 'R', 'B', 'N'].forEach(promotion => {
+                moves.push({ from: fromSquare, to: toSquare, piece, promotion });
+              });
+            } else {
+              moves.push({ from: fromSquare, to: toSquare, piece });
+            }
+          }
+        }
+      }
+    }
+
+    // "No repeating the same piece" rule: the last moved piece is only allowed
+    // if it is a king in check, or if no other piece has a legal move
+    const lastMovedPiece = rules.noRepeat && game.lastMovedPieces && game.lastMovedPieces[colorName];
+    if (lastMovedPiece) {
+      const kingExceptionApplies = lastMovedPiece[1] === 'K' && isInCheck(board, color);
+      if (!kingExceptionApplies) {
+        const otherMoves = moves.filter(move => move.piece !== lastMovedPiece);
+        if (otherMoves.length > 0) {
+          return otherMoves;
+        }
+      }
+    }
+
+    return moves;
+  }
+
+  // Messages for each reason validateMove can reject a move with
+  const MOVE_ERRORS = {
+    invalidSquare: 'Invalid square',
+    noPiece: 'No piece at starting position',
+    notYourPiece: 'Not your piece',
+    repeatPiece: 'Cannot move the same piece twice in a row',
+    illegalMove: 'Illegal move',
+    invalidPromotion: 'Invalid promotion piece type',
+    castleOutOfCheck: 'You cannot castle while your king is in check',
+    castleThroughCheck: 'You cannot castle through an attacked square',
+    castleIntoCheck: 'You cannot castle into check',
+    kingIntoCheck: 'Your king cannot move onto an attacked square',
+    pinnedPiece: 'That piece is pinned: moving it would expose your king',
+    stillInCheck: 'Your king is in check! You must make a move that resolves the check.'
+  };
+
+  function rejectMove(reason) {
+    return { valid: false, reason, message: MOVE_ERRORS[reason] };
+  }
+
+  // Validate one side's move, including king safety for every move
+  // (castling and promotions too). Returns { valid: true } or
+  // { valid: false, reason, message } where reason is a key of MOVE_ERRORS.
+  function validateMove(game, color, move) {
+    color = color[0];
+    const colorName = color === 'w' ? 'white' : 'black';
+    const squarePattern = /^[a-h][1-8]$/;
+
+    if (!move || !squarePattern.test(move.from) || !squarePattern.test(move.to)) {
+      return rejectMove('invalidSquare');
+    }
+
+    const board = positionToBoard(game.position);
+    const fromCoords = squareToCoords(move.from);
+    const toCoords = squareToCoords(move.to);
+    const piece = board[fromCoords.rank][fromCoords.file];
+
+    if (!piece) {
+      return rejectMove('noPiece');
+    }
+
+    if (piece[0] !== color) {
+      return rejectMove('notYourPiece');
+    }
+
+    const wasInCheck = isInCheck(board, color);
+    const rules = getRules(game);
+
+    // "No repeating the same piece" rule: a king in check may move again,
+    // any piece may move again when nothing else has a legal move
+    const lastMovedPiece = rules.noRepeat && game.lastMovedPieces && game.lastMovedPieces[colorName];
+    if (piece === lastMovedPiece && !(piece[1] === 'K' && wasInCheck)) {
+      const hasOtherLegalMoves = generateLegalMoves(game, color)
+        .some(legalMove => legalMove.piece !== piece);
+      if (hasOtherLegalMoves) {
+        return rejectMove('repeatPiece');
+      }
+    }
+
+    // Castling gets its own reasons before the general movement check
+    const castling = piece[1] === 'K' ? getCastlingMove(board, move, game) : null;
+    const rights = game.castlingRights && game.castlingRights[colorName];
+
+    if (castling && rights && rights[castling.side]) {
+      if (wasInCheck) {
+        return rejectMove('castleOutOfCheck');
+      }
+
+      if (isCastlingPathClear(board, castling) && castlingPassesThroughCheck(board, castling, color)) {
+        return rejectMove('castleThroughCheck');
+      }
+    }
+
+    if (!isLegalMove(board, move.from, move.to, piece.substring(0, 2), game)) {
+      return rejectMove('illegalMove');
+    }
+
+    // Only pawns reaching the last rank promote, and only to Q, R, B or N
+    const isPromotion = piece[1] === 'P' && toCoords.rank === (color === 'w' ? 0 : 7);
+    if (move.promotion && (!isPromotion || !['Q', 'R', 'B', 'N'].includes(move.promotion))) {
+      return rejectMove('invalidPromotion');
+    }
+
+    // King safety: the king may not be attacked once this move is made
+    // (unless the house rules let a king in check stay there)
+    const tempBoard = applyMoveToBoard(board, move, game);
+    const mayStayInCheck = rules.stayInCheck && wasInCheck && staysInSameCheck(board, tempBoard, color);
+    if (isInCheck(tempBoard, color) && !mayStayInCheck) {
+      if (castling) {
+        return rejectMove('castleIntoCheck');
+      }
+      if (piece[1] === 'K') {
+        return rejectMove('kingIntoCheck');
+      }
+      return rejectMove(wasInCheck && !rules.stayInCheck ? 'stillInCheck' : 'pinnedPiece');
+    }
+
+    return { valid: true };
+  }
+
+  return {
+    positionToBoard,
+    boardToPosition,
+    squareToCoords,
+    coordsToSquare,
+    DEFAULT_RULES,
+    getRules,
+    STANDARD_CASTLING_ROOKS,
+    isSquareUnderAttack,
+    findKing,
+    isInCheck,
+    isLegalMove,
+    getCastlingMove,
+    handleCastling,
+    applyMoveToBoard,
+    generateLegalMoves,
+    validateMove
+  };
+}));